@@ -0,0 +1,150 @@
+// ============================================
+// HEADLESS BATCH RUNNER
+// ============================================
+
+// Runs the simulation in Node without a browser:
+//
+//   node batch.js [seed] [years] [noise|tectonic]
+//
+// The page loads world.js and simulation.js as classic scripts that share one
+// global scope, so they are evaluated the same way here, in a single VM context.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SIMULATION_SCRIPTS = ['world.js', 'simulation.js'];
+const RESUME_CHECK_YEARS = 50;
+
+// Loads a fresh, independent copy of the simulation. Returns the globals a
+// caller needs; planetData is reassigned on generation, so it is a getter.
+function loadSimulation() {
+  const context = vm.createContext({ console, setTimeout, clearTimeout });
+  
+  for (const file of SIMULATION_SCRIPTS) {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  }
+  
+  return vm.runInContext(`({
+    simEvents,
+    gameState,
+    generatePlanet,
+    simulateTick,
+    serializeGame,
+    restoreGame,
+    validateSave,
+    getTileAt,
+    ownsTile,
+    sumPopulation,
+    Tribe,
+    Country,
+    get planetData() { return planetData; },
+    get worldRng() { return worldRng; }
+  })`, context);
+}
+
+async function runBatch(seed, years, { onEvent = null, onTick = null, terrainMode = 'noise' } = {}) {
+  const sim = loadSimulation();
+  
+  if (onEvent) sim.simEvents.on('event', onEvent);
+  if (onTick) sim.simEvents.on('tick', onTick);
+  
+  await sim.generatePlanet(seed, terrainMode);
+  
+  sim.gameState.running = true;
+  for (let i = 0; i < years; i++) {
+    sim.simulateTick(sim.planetData.tiles);
+  }
+  
+  return sim;
+}
+
+function summarize(sim) {
+  const { gameState } = sim;
+  const population = gameState.countries.reduce((sum, c) => sum + c.population, 0) +
+    gameState.tribes.reduce((sum, t) => sum + t.population, 0);
+  
+  return {
+    planet: sim.planetData.name,
+    seed: sim.planetData.seed,
+    terrainMode: sim.planetData.terrainMode,
+    year: gameState.year,
+    tribes: gameState.tribes.length,
+    countries: gameState.countries.length,
+    wars: gameState.wars.length,
+    population
+  };
+}
+
+// Sanity checks on a finished run, so a layer that never comes into play fails
+// loudly instead of quietly yielding an empty world. Returns the problems found.
+function checkBatch(sim, eventCounts) {
+  const { gameState } = sim;
+  const problems = [];
+  
+  if (!eventCounts.country_formed) {
+    problems.push('no country ever formed');
+  }
+  
+  for (const entity of [...gameState.tribes, ...gameState.countries]) {
+    const label = entity.name || `tribe ${entity.id}`;
+    const lost = entity.territories.filter(t => !sim.ownsTile(entity, t.x, t.y));
+    if (lost.length > 0) {
+      problems.push(`${label} lists ${lost.length} tiles it does not own`);
+    }
+    if (entity.population !== sim.sumPopulation(entity)) {
+      problems.push(`${label} counts ${entity.population} people but its tiles hold ${sim.sumPopulation(entity)}`);
+    }
+  }
+  
+  return problems;
+}
+
+// Saves a run, restores the save into a fresh copy and plays both on. A save
+// must resume exactly, so they have to end in the same state.
+async function checkResume(sim, years) {
+  const save = JSON.parse(JSON.stringify(sim.serializeGame()));
+  const copy = loadSimulation();
+  await copy.generatePlanet(save.seed, save.terrainMode);
+  copy.restoreGame(copy.validateSave(save));
+  
+  for (const run of [sim, copy]) {
+    run.gameState.running = true;
+    for (let i = 0; i < years; i++) {
+      run.simulateTick(run.planetData.tiles);
+    }
+  }
+  
+  return JSON.stringify(sim.serializeGame()) === JSON.stringify(copy.serializeGame());
+}
+
+if (require.main === module) {
+  const seed = Number(process.argv[2] || 1);
+  const years = Number(process.argv[3] || 5000);
+  const terrainMode = process.argv[4] || 'noise';
+  const eventCounts = {};
+  
+  runBatch(seed, years, {
+    terrainMode,
+    onEvent: event => {
+      eventCounts[event.type] = (eventCounts[event.type] || 0) + 1;
+    }
+  }).then(async sim => {
+    console.log(JSON.stringify({ ...summarize(sim), events: eventCounts }, null, 2));
+    
+    const problems = checkBatch(sim, eventCounts);
+    if (!(await checkResume(sim, RESUME_CHECK_YEARS))) {
+      problems.push('a restored save does not resume exactly');
+    }
+    if (problems.length > 0) {
+      problems.forEach(problem => console.error(`Check failed: ${problem}`));
+      process.exit(1);
+    }
+  }).catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadSimulation, runBatch, summarize, checkBatch, checkResume };
@@ -5,9 +5,6 @@ const mapCtx = mapCanvas.getContext('2d', { alpha: false });
 const overlayCanvas = document.createElement('canvas');
 const overlayCtx = overlayCanvas.getContext('2d', { alpha: true });
 
-const MAP_WIDTH = 2048;
-const MAP_HEIGHT = 1024;
-
 const camera = {
   x: 0,
   y: 0,
@@ -16,51 +13,17 @@ const camera = {
   minZoom: 0.5,
   maxZoom: 4.0,
   isDragging: false,
+  dragMoved: false, // set once a drag passes DRAG_THRESHOLD, so it isn't also a click
   dragStartX: 0,
   dragStartY: 0,
   dragStartCamX: 0,
-  dragStartCamY: 0
+  dragStartCamY: 0,
+  zoomAnchorX: 0, // screen point that stays fixed while zooming
+  zoomAnchorY: 0
 };
 
-let planetData = null;
 let basePlanetTexture = null;
-let worldRng = null;
-let worldNoise = null;
-
-// ============================================
-// GAME STATE & SIMULATION
-// ============================================
-
-class GameEvent {
-  constructor(year, type, message) {
-    this.year = year;
-    this.type = type; // 'migration', 'settlement', 'war', 'country_formed', etc.
-    this.message = message;
-    this.id = Date.now() + Math.random();
-  }
-}
-
-let gameState = {
-  year: 0,
-  running: false,
-  speed: 2, // 0=pause, 1=slow, 2=normal, 3=fast, 4=ultra
-  tribes: [],
-  countries: [],
-  events: [],
-  selectedEntity: null // {type: 'tribe'/'country'/'tile', data: ...}
-};
-
-function logEvent(type, message) {
-  const event = new GameEvent(gameState.year, type, message);
-  gameState.events.unshift(event); // Add to beginning
-  
-  // Keep only last 100 events
-  if (gameState.events.length > 100) {
-    gameState.events.pop();
-  }
-  
-  updateEventLog();
-}
+let terrainImage = null; // pixels of basePlanetTexture without the rivers, kept for repainting
 
 function updateEventLog() {
   const eventLog = document.getElementById('eventLog');
@@ -74,10 +37,16 @@ function updateEventLog() {
   for (const event of recentEvents) {
     const eventDiv = document.createElement('div');
     eventDiv.className = 'event-item';
-    eventDiv.innerHTML = `
-      <span class="event-year">${event.year}</span>
-      <span class="event-message">${event.message}</span>
-    `;
+    
+    // Messages can come from a loaded save, so they go in as text
+    const year = document.createElement('span');
+    year.className = 'event-year';
+    year.textContent = event.year;
+    const message = document.createElement('span');
+    message.className = 'event-message';
+    message.textContent = event.message;
+    
+    eventDiv.append(year, message);
     eventLog.appendChild(eventDiv);
   }
 }
@@ -90,181 +59,6 @@ const SPEEDS = {
   4: 30      // ultra (30 ticks/sec)
 };
 
-class Tribe {
-  constructor(id, x, y, population, rng) {
-    this.id = id;
-    this.x = x; // tile coordinates
-    this.y = y;
-    this.population = population;
-    this.culture = generateCultureName(rng);
-    this.techLevel = 0; // primitive
-    this.age = 0; // years existed
-    this.settled = false;
-    this.settlementYears = 0; // years staying in same spot
-    
-    // Visualization
-    this.color = generateColor(rng);
-    this.territories = []; // Array of {x, y} tile coords
-    
-    // Migration intent
-    this.targetX = null;
-    this.targetY = null;
-    this.migrationCooldown = 0;
-  }
-}
-
-class Country {
-  constructor(id, name, capitalX, capitalY, color, rng) {
-    this.id = id;
-    this.name = name;
-    this.capitalX = capitalX;
-    this.capitalY = capitalY;
-    this.color = color; // for borders
-    this.population = 0;
-    this.territories = []; // array of {x, y} tile coords
-    this.government = 'tribal'; // tribal → chiefdom → kingdom → etc
-    this.techLevel = 0;
-    this.resources = { food: 0, wood: 0, stone: 0, metal: 0 };
-    this.leader = generateLeader(rng);
-    this.age = 0;
-    this.atWar = false;
-  }
-}
-
-class Leader {
-  constructor(name, traits) {
-    this.name = name;
-    this.age = Math.floor(Math.random() * 20 + 20); // 20-40 when they take power
-    this.traits = traits; // { aggression, diplomacy, ambition, caution }
-    this.yearsInPower = 0;
-  }
-}
-
-function generateColor(rng) {
-  const hue = Math.floor(rng.next() * 360);
-  const sat = Math.floor(rng.range(40, 80));
-  const light = Math.floor(rng.range(35, 60));
-  return `hsl(${hue}, ${sat}%, ${light}%)`;
-}
-
-function generateLeader(rng) {
-  const firstNames = [
-    'Aldric', 'Bjorn', 'Casimir', 'Darius', 'Eamon', 'Falk', 'Gorin', 'Harald', 'Ivar', 'Joran',
-    'Kael', 'Leif', 'Magnus', 'Niko', 'Orin', 'Pavel', 'Ragnor', 'Sven', 'Thrain', 'Ulric',
-    'Viktor', 'Wulfric', 'Xerxes', 'Yorick', 'Zoran', 'Alaric', 'Baldur', 'Cedric', 'Draven', 'Erik',
-    'Fenris', 'Gunnar', 'Hector', 'Ingvar', 'Jarl', 'Konrad', 'Lothar', 'Markus', 'Nikolai', 'Oskar',
-    'Petrus', 'Quintus', 'Ragnar', 'Sigurd', 'Thorin', 'Ulfar', 'Varian', 'Wilhelm', 'Xander', 'Yuri',
-    'Zephyr', 'Aron', 'Boris', 'Cyrus', 'Dimitri', 'Erich', 'Friedrich', 'Gustav', 'Heinrich', 'Ivan',
-    'Julius', 'Karl', 'Leopold', 'Mikhail', 'Nikolas', 'Otto', 'Peter', 'Roland', 'Stefan', 'Theodor',
-    'Adira', 'Brenna', 'Celia', 'Diana', 'Elara', 'Freya', 'Giselle', 'Helena', 'Isolde', 'Josephine',
-    'Katerina', 'Lyanna', 'Mira', 'Natalia', 'Olga', 'Petra', 'Rowena', 'Selene', 'Tatiana', 'Ursula',
-    'Valeria', 'Winifred', 'Xiomara', 'Yvonne', 'Zara', 'Adriana', 'Beatrix', 'Cordelia', 'Delilah', 'Elysia'
-  ];
-  
-  const titles = [
-    'the Bold', 'the Wise', 'the Great', 'the Fierce', 'the Just', 'the Cunning', 'the Strong', 'the Fair',
-    'the Brave', 'the Terrible', 'the Magnificent', 'the Glorious', 'the Righteous', 'the Ruthless',
-    'the Merciful', 'the Conqueror', 'the Defender', 'the Liberator', 'the Unifier', 'the Lawgiver',
-    'the Pious', 'the Scholar', 'the Warrior', 'the Diplomat', 'the Builder', 'the Reformer',
-    'the Elder', 'the Younger', 'the First', 'the Second', 'the Third', 'the Last',
-    'the Red', 'the White', 'the Black', 'the Golden', 'the Silver', 'the Iron',
-    'the Silent', 'the Eloquent', 'the Swift', 'the Patient', 'the Vengeful', 'the Forgiving',
-    'Ironside', 'Bloodaxe', 'Dragonheart', 'Lionheart', 'Stormborn', 'Frostbeard',
-    'the Undying', 'the Eternal', 'the Faithful', 'the Apostate', 'the Martyr', 'the Saint'
-  ];
-  
-  const firstName = firstNames[Math.floor(rng.next() * firstNames.length)];
-  const title = rng.next() > 0.5 ? ' ' + titles[Math.floor(rng.next() * titles.length)] : '';
-  
-  const traits = {
-    aggression: rng.next(),
-    diplomacy: rng.next(),
-    ambition: rng.next(),
-    caution: rng.next()
-  };
-  
-  return new Leader(firstName + title, traits);
-}
-
-function generateCultureName(rng) {
-  const prefixes = [
-    'Aka', 'Uru', 'Zul', 'Mor', 'Tek', 'Nal', 'Kra', 'Vec', 'Dro', 'Fen',
-    'Bal', 'Cor', 'Dan', 'Eld', 'Fyr', 'Gor', 'Hel', 'Ith', 'Jor', 'Kel',
-    'Lyr', 'Myr', 'Nor', 'Oth', 'Pyr', 'Qar', 'Rha', 'Syl', 'Tyr', 'Ulm',
-    'Val', 'Wyr', 'Xan', 'Yar', 'Zar', 'Ash', 'Bor', 'Cyr', 'Del', 'Eos',
-    'Fel', 'Gal', 'Hyr', 'Ira', 'Jyn', 'Kyn', 'Lor', 'Mek', 'Nar', 'Orl',
-    'Pra', 'Qel', 'Rin', 'Sol', 'Tor', 'Usk', 'Vex', 'Wol', 'Xer', 'Yul',
-    'Zan', 'Aer', 'Bry', 'Cae', 'Dor', 'Eryn', 'Fal', 'Gry', 'Hak', 'Ilm',
-    'Jal', 'Kor', 'Lun', 'Mal', 'Nev', 'Oth', 'Pel', 'Qor', 'Ral', 'Sar'
-  ];
-  const suffixes = [
-    'ni', 'ka', 'tu', 'ma', 'ri', 'lo', 'sa', 'nu', 'ta', 'ko',
-    'ra', 'la', 'na', 'da', 'va', 'ga', 'ha', 'ja', 'pa', 'za',
-    'th', 'sh', 'ch', 'kh', 'ph', 'rh', 'ss', 'tt', 'nn', 'mm',
-    'ar', 'er', 'or', 'ur', 'ir', 'an', 'en', 'on', 'un', 'in',
-    'os', 'us', 'is', 'as', 'es', 'ax', 'ex', 'ix', 'ox', 'ux',
-    'al', 'el', 'il', 'ol', 'ul', 'am', 'em', 'im', 'om', 'um',
-    'ia', 'ea', 'oa', 'ua', 'ya', 'ae', 'oe', 'ue', 'ye', 'ao'
-  ];
-  const prefix = prefixes[Math.floor(rng.next() * prefixes.length)];
-  const suffix = suffixes[Math.floor(rng.next() * suffixes.length)];
-  return prefix + suffix;
-}
-
-function generateCountryName(culture, rng) {
-  const suffixes = [
-    'Kingdom', 'Empire', 'Dominion', 'Republic', 'Federation', 'Confederacy',
-    'Realm', 'Dynasty', 'Sovereignty', 'Commonwealth', 'League', 'Union',
-    'Principality', 'Khanate', 'Sultanate', 'Caliphate', 'Shogunate', 'Chiefdom',
-    'Confederation', 'Alliance', 'Coalition', 'Hegemony', 'State', 'Nation',
-    'Imperium', 'Regency', 'Protectorate', 'Territory', 'March', 'Duchy'
-  ];
-  
-  const prefixes = [
-    'United', 'Grand', 'Great', 'Holy', 'Sacred', 'Divine', 'Imperial',
-    'Royal', 'Noble', 'Ancient', 'Eternal', 'Supreme', 'Sovereign', 'Free',
-    'Democratic', 'New', 'Northern', 'Southern', 'Eastern', 'Western'
-  ];
-  
-  const usePrefix = rng.next() > 0.6;
-  const suffix = suffixes[Math.floor(rng.next() * suffixes.length)];
-  
-  if (usePrefix) {
-    const prefix = prefixes[Math.floor(rng.next() * prefixes.length)];
-    return `${prefix} ${culture} ${suffix}`;
-  }
-  
-  return `${culture} ${suffix}`;
-}
-
-const planetPrefixes = [
-  'Terra', 'Gaia', 'Kepler', 'Proxima', 'Trappist', 'Nova', 'Aurora', 'Celestia',
-  'Olympus', 'Elysium', 'Arcadia', 'Avalon', 'Eden', 'Valhalla', 'Asgard', 'Midgard',
-  'Atlantis', 'Thera', 'Harmonia', 'Concordia', 'Serenity', 'Tranquility', 'Verdant',
-  'Emerald', 'Sapphire', 'Azure', 'Crimson', 'Golden', 'Silver', 'Crystal'
-];
-
-const planetSuffixes = [
-  'Prime', 'Major', 'Minor', 'Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon',
-  'Centauri', 'Draconis', 'Aquarii', 'Orionis', 'Lyrae', 'Cygni', 'Phoenicis',
-  'Novus', 'Secundus', 'Tertius', 'Quartus', 'Quintus'
-];
-
-function generatePlanetName(rng) {
-  const useNumber = rng.next() > 0.4;
-  
-  if (useNumber) {
-    const prefix = planetPrefixes[Math.floor(rng.next() * planetPrefixes.length)];
-    const number = Math.floor(rng.next() * 9999) + 1;
-    const letter = String.fromCharCode(97 + Math.floor(rng.next() * 26));
-    return `${prefix}-${number}${letter}`;
-  } else {
-    const prefix = planetPrefixes[Math.floor(rng.next() * planetPrefixes.length)];
-    const suffix = planetSuffixes[Math.floor(rng.next() * planetSuffixes.length)];
-    return `${prefix} ${suffix}`;
-  }
-}
-
 function initCanvases() {
   mapCanvas.width = MAP_WIDTH;
   mapCanvas.height = MAP_HEIGHT;
@@ -313,1296 +107,392 @@ function setProgress(percent, text) {
   document.getElementById('progressText').innerText = text || '';
 }
 
-class Random {
-  constructor(seed) {
-    this.s = [0, 0, 0, 0];
-    let h = 1779033703 ^ seed;
-    for (let i = 0; i < 4; i++) {
-      h = Math.imul(h ^ (h >>> 16), 2246822507);
-      h = Math.imul(h ^ (h >>> 13), 3266489909);
-      this.s[i] = (h ^= h >>> 16) >>> 0;
-    }
-  }
+simEvents.on('progress', ({ percent, text }) => setProgress(percent, text));
+simEvents.on('event', updateEventLog);
+simEvents.on('terrain', changed => {
+  repaintTerrain(changed);
+  invalidateMapModes();
+});
+simEvents.on('tick', () => {
+  updateGameUI();
   
-  next() {
-    const t = this.s[1] << 9;
-    let r = Math.imul(this.s[0], 5);
-    r = ((r << 7) | (r >>> 25)) * 9;
-    this.s[2] ^= this.s[0];
-    this.s[3] ^= this.s[1];
-    this.s[1] ^= this.s[2];
-    this.s[0] ^= this.s[3];
-    this.s[2] ^= t;
-    this.s[3] = (this.s[3] << 11) | (this.s[3] >>> 21);
-    return (r >>> 0) / 4294967296;
-  }
+  // Render overlay every tick
+  renderOverlay();
+});
+
+function updateGameUI() {
+  const tribeCount = gameState.tribes.length;
+  const countryCount = gameState.countries.length;
   
-  range(min, max) {
-    return min + this.next() * (max - min);
-  }
+  document.getElementById('worldStats').textContent = 
+    `Year ${gameState.year} | Tribes: ${tribeCount} | Countries: ${countryCount}`;
 }
 
-class PerlinNoise {
-  constructor(rng) {
-    this.perm = new Uint8Array(512);
-    const p = new Uint8Array(256);
-    for (let i = 0; i < 256; i++) p[i] = i;
-    
-    for (let i = 255; i > 0; i--) {
-      const j = Math.floor(rng.next() * (i + 1));
-      [p[i], p[j]] = [p[j], p[i]];
+// Terrain color of one pixel from its height, temperature and moisture
+function terrainColor(h, t, m) {
+  let r, g, b;
+  
+  if (h < -0.08) {
+    const depth = Math.max(0, Math.min(1, -h / 1.0));
+    r = Math.floor(8 + depth * 18);
+    g = Math.floor(25 + depth * 55);
+    b = Math.floor(50 + depth * 150);
+  }
+  else if (h < 0) {
+    r = 22;
+    g = 70;
+    b = 160;
+  }
+  else {
+    if (t < -0.35) {
+      const shade = 240 + h * 15;
+      r = g = b = Math.floor(shade);
     }
-    
-    for (let i = 0; i < 512; i++) this.perm[i] = p[i & 255];
-  }
-  
-  fade(t) {
-    return t * t * t * (t * (t * 6 - 15) + 10);
-  }
-  
-  lerp(t, a, b) {
-    return a + t * (b - a);
-  }
-  
-  grad(hash, x, y) {
-    const h = hash & 7;
-    const u = h < 4 ? x : y;
-    const v = h < 4 ? y : x;
-    return ((h & 1) ? -u : u) + ((h & 2) ? -2 * v : 2 * v);
-  }
-  
-  noise(x, y) {
-    const X = Math.floor(x) & 255;
-    const Y = Math.floor(y) & 255;
-    x -= Math.floor(x);
-    y -= Math.floor(y);
-    const u = this.fade(x);
-    const v = this.fade(y);
-    const a = this.perm[X] + Y;
-    const b = this.perm[X + 1] + Y;
-    
-    return this.lerp(v,
-      this.lerp(u, this.grad(this.perm[a], x, y), this.grad(this.perm[b], x - 1, y)),
-      this.lerp(u, this.grad(this.perm[a + 1], x, y - 1), this.grad(this.perm[b + 1], x - 1, y - 1))
-    );
-  }
-  
-  fbm(x, y, octaves, persistence, lacunarity, warp = 0) {
-    let total = 0;
-    let amplitude = 1;
-    let frequency = 1;
-    let maxValue = 0;
-    
-    if (warp > 0) {
-      x += this.noise(x * 0.5, y * 0.5) * warp;
-      y += this.noise(x * 0.5 + 100, y * 0.5 + 100) * warp;
+    else if (t < -0.05) {
+      r = Math.floor(145 + m * 35);
+      g = Math.floor(160 + m * 45);
+      b = Math.floor(135 + m * 25);
     }
-    
-    for (let i = 0; i < octaves; i++) {
-      total += this.noise(x * frequency, y * frequency) * amplitude;
-      maxValue += amplitude;
-      amplitude *= persistence;
-      frequency *= lacunarity;
+    else if (m < 0.22) {
+      r = Math.floor(205 + t * 35);
+      g = Math.floor(175 + t * 28);
+      b = Math.floor(115 + t * 18);
     }
-    
-    return total / maxValue;
-  }
-}
-
-// ============================================
-// RIVER GENERATION SYSTEM
-// ============================================
-
-class River {
-  constructor(id) {
-    this.id = id;
-    this.path = []; // Array of {x, y} points
-    this.strength = 0; // How big the river is (0-1)
-  }
-}
-
-async function generateRivers(height, moisture, rng) {
-  const rivers = [];
-  const riverMap = new Uint8Array(MAP_WIDTH * MAP_HEIGHT); // Which river (if any) flows through each pixel
-  
-  const idx = (x, y) => {
-    x = (x + MAP_WIDTH) % MAP_WIDTH;
-    y = Math.max(0, Math.min(MAP_HEIGHT - 1, y));
-    return y * MAP_WIDTH + x;
-  };
-  
-  // Find high elevation starting points for rivers
-  const numRivers = Math.floor(rng.range(80, 150));
-  const riverStarts = [];
-  
-  for (let attempt = 0; attempt < numRivers * 3; attempt++) {
-    const x = Math.floor(rng.next() * MAP_WIDTH);
-    const y = Math.floor(rng.next() * MAP_HEIGHT);
-    const i = idx(x, y);
-    
-    const h = height[i];
-    const m = moisture[i];
-    
-    // Rivers start in mountains, in wet regions
-    if (h > 0.3 && h < 0.9 && m > 0.4) {
-      riverStarts.push({ x, y, elevation: h });
+    else if (m < 0.48) {
+      r = Math.floor(125 - m * 45);
+      g = Math.floor(145 + m * 45);
+      b = Math.floor(65 + m * 25);
     }
-    
-    if (riverStarts.length >= numRivers) break;
-  }
-  
-  // Flow each river downhill
-  for (let r = 0; r < riverStarts.length; r++) {
-    const river = new River(r);
-    const start = riverStarts[r];
-    
-    let x = start.x;
-    let y = start.y;
-    let prevElev = start.elevation;
-    const maxLength = 200;
-    
-    for (let step = 0; step < maxLength; step++) {
-      const i = idx(x, y);
-      const currentElev = height[i];
-      
-      // Stop if we hit ocean
-      if (currentElev <= 0) {
-        river.path.push({ x, y });
-        break;
-      }
-      
-      // Stop if we hit another river (merge)
-      if (riverMap[i] > 0 && riverMap[i] !== r + 1) {
-        river.path.push({ x, y });
-        break;
-      }
-      
-      river.path.push({ x, y });
-      riverMap[i] = r + 1;
-      
-      // Find lowest neighbor
-      const neighbors = [
-        { x: x - 1, y: y, elev: height[idx(x - 1, y)] },
-        { x: x + 1, y: y, elev: height[idx(x + 1, y)] },
-        { x: x, y: y - 1, elev: height[idx(x, y - 1)] },
-        { x: x, y: y + 1, elev: height[idx(x, y + 1)] }
-      ];
-      
-      // Sort by elevation
-      neighbors.sort((a, b) => a.elev - b.elev);
-      
-      // Flow downhill
-      let moved = false;
-      for (const n of neighbors) {
-        if (n.elev < currentElev) {
-          x = (n.x + MAP_WIDTH) % MAP_WIDTH;
-          y = Math.max(0, Math.min(MAP_HEIGHT - 1, n.y));
-          moved = true;
-          break;
-        }
-      }
-      
-      if (!moved) break; // Stuck in a local minimum
-      
-      prevElev = currentElev;
+    else if (m < 0.75) {
+      r = Math.floor(55 + t * 30);
+      g = Math.floor(105 + m * 55);
+      b = Math.floor(45 + t * 20);
     }
-    
-    // Calculate river strength based on length and tributaries
-    river.strength = Math.min(1, river.path.length / 100);
-    
-    if (river.path.length > 10) {
-      rivers.push(river);
+    else {
+      r = Math.floor(35 + t * 20);
+      g = Math.floor(95 + m * 75);
+      b = Math.floor(45 + t * 25);
     }
-  }
-  
-  return rivers;
-}
-
-// ============================================
-// TILE SYSTEM
-// ============================================
-
-const TILE_WIDTH = 256;
-const TILE_HEIGHT = 128;
-
-class Tile {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    
-    // Geography
-    this.elevation = 0;
-    this.isLand = false;
-    this.distanceToCoast = 0;
-    this.riverPresence = 'none'; // none / minor / major
-    this.roughness = 0; // 0-1 (flat to mountains)
-    
-    // Climate
-    this.temperature = 0; // -1 to 1
-    this.rainfall = 0; // 0 to 1
-    this.seasonality = 0; // 0-1
-    this.climateZone = 'temperate'; // polar / temperate / tropical
     
-    // Biome
-    this.biomeType = 'ocean';
-    
-    // Resources
-    this.foodPotential = 0; // 0-1
-    this.wood = 0; // 0-1
-    this.stone = 0; // 0-1
-    this.metals = 0; // 0-1
-    this.fertility = 0; // 0-1
-    
-    // Human factors
-    this.habitability = 0; // 0-1
-    this.populationCapacity = 0; // 0-1
-    this.diseaseRisk = 0; // 0-1
-    this.movementCost = 1.0; // multiplier for travel
-  }
-}
-
-function determineBiome(elevation, temperature, rainfall) {
-  if (elevation <= 0) return 'ocean';
-  
-  if (temperature < -0.5) return 'ice';
-  if (temperature < -0.2) return 'tundra';
-  
-  if (elevation > 0.7) return 'alpine';
-  
-  if (rainfall < 0.2) return 'desert';
-  if (rainfall < 0.4) {
-    if (temperature > 0.3) return 'savanna';
-    return 'grassland';
-  }
-  if (rainfall < 0.7) {
-    if (temperature > 0.4) return 'jungle';
-    return 'forest';
-  }
-  
-  if (temperature > 0.5) return 'jungle';
-  return 'forest';
-}
-
-async function generateTileSystem(height, temperature, moisture, rivers, rng) {
-  const tiles = [];
-  const tileGrid = [];
-  
-  const pixelsPerTileX = MAP_WIDTH / TILE_WIDTH;
-  const pixelsPerTileY = MAP_HEIGHT / TILE_HEIGHT;
-  
-  const idx = (x, y) => y * MAP_WIDTH + x;
-  
-  // Create tile grid
-  for (let ty = 0; ty < TILE_HEIGHT; ty++) {
-    const row = [];
-    for (let tx = 0; tx < TILE_WIDTH; tx++) {
-      const tile = new Tile(tx, ty);
-      
-      // Sample the center pixels of this tile region
-      const centerX = Math.floor(tx * pixelsPerTileX + pixelsPerTileX / 2);
-      const centerY = Math.floor(ty * pixelsPerTileY + pixelsPerTileY / 2);
-      
-      // Average values across the tile region
-      let sumElev = 0, sumTemp = 0, sumMoist = 0;
-      let numSamples = 0;
-      let minElev = Infinity, maxElev = -Infinity;
-      
-      for (let dy = 0; dy < pixelsPerTileY; dy += 2) {
-        for (let dx = 0; dx < pixelsPerTileX; dx += 2) {
-          const px = Math.floor(tx * pixelsPerTileX + dx);
-          const py = Math.floor(ty * pixelsPerTileY + dy);
-          if (px >= MAP_WIDTH || py >= MAP_HEIGHT) continue;
-          
-          const i = idx(px, py);
-          sumElev += height[i];
-          sumTemp += temperature[i];
-          sumMoist += moisture[i];
-          minElev = Math.min(minElev, height[i]);
-          maxElev = Math.max(maxElev, height[i]);
-          numSamples++;
-        }
-      }
-      
-      tile.elevation = sumElev / numSamples;
-      tile.temperature = sumTemp / numSamples;
-      tile.rainfall = sumMoist / numSamples;
-      tile.isLand = tile.elevation > 0;
-      tile.roughness = maxElev - minElev; // Terrain variance
-      
-      // Climate zone
-      const lat = Math.abs(ty / TILE_HEIGHT * 2 - 1);
-      if (lat > 0.7) tile.climateZone = 'polar';
-      else if (lat < 0.3) tile.climateZone = 'tropical';
-      else tile.climateZone = 'temperate';
-      
-      // Biome
-      tile.biomeType = determineBiome(tile.elevation, tile.temperature, tile.rainfall);
-      
-      // River presence
-      let riverStrength = 0;
-      for (const river of rivers) {
-        for (const point of river.path) {
-          const ptx = Math.floor(point.x / pixelsPerTileX);
-          const pty = Math.floor(point.y / pixelsPerTileY);
-          if (ptx === tx && pty === ty) {
-            riverStrength = Math.max(riverStrength, river.strength);
-          }
-        }
-      }
-      if (riverStrength > 0.5) tile.riverPresence = 'major';
-      else if (riverStrength > 0.2) tile.riverPresence = 'minor';
-      
-      // Resources
-      if (tile.isLand) {
-        tile.fertility = tile.rainfall * (1 - tile.roughness) * 0.7;
-        tile.foodPotential = tile.fertility * (tile.riverPresence === 'major' ? 1.5 : 1.0);
-        
-        tile.wood = (tile.biomeType === 'forest' || tile.biomeType === 'jungle') ? rng.range(0.6, 1.0) : rng.range(0, 0.3);
-        tile.stone = tile.roughness > 0.3 ? rng.range(0.5, 0.9) : rng.range(0.1, 0.4);
-        tile.metals = (tile.roughness > 0.4 && rng.next() > 0.7) ? rng.range(0.5, 1.0) : rng.range(0, 0.3);
-        
-        // Habitability
-        const tempScore = 1 - Math.abs(tile.temperature);
-        const moistScore = Math.min(1, tile.rainfall * 1.5);
-        tile.habitability = (tempScore + moistScore + (tile.riverPresence !== 'none' ? 0.3 : 0)) / 2.5;
-        
-        tile.populationCapacity = tile.habitability * tile.foodPotential;
-        
-        // Disease risk (hot + wet = disease)
-        if (tile.temperature > 0.3 && tile.rainfall > 0.6) {
-          tile.diseaseRisk = rng.range(0.5, 0.9);
-        } else {
-          tile.diseaseRisk = rng.range(0, 0.3);
-        }
-        
-        // Movement cost
-        tile.movementCost = 1.0;
-        if (tile.roughness > 0.5) tile.movementCost += 1.5;
-        if (tile.biomeType === 'jungle') tile.movementCost += 1.0;
-        if (tile.biomeType === 'desert') tile.movementCost += 0.5;
-        if (tile.biomeType === 'ice') tile.movementCost += 2.0;
-      }
-      
-      tiles.push(tile);
-      row.push(tile);
+    if (h > 0.65) {
+      const baseGray = 85 + h * 35;
+      r = Math.floor(baseGray);
+      g = Math.floor(baseGray);
+      b = Math.floor(baseGray);
     }
-    tileGrid.push(row);
-  }
-  
-  // Calculate distance to coast
-  for (let ty = 0; ty < TILE_HEIGHT; ty++) {
-    for (let tx = 0; tx < TILE_WIDTH; tx++) {
-      const tile = tileGrid[ty][tx];
-      
-      if (tile.isLand) {
-        let minDist = Infinity;
-        
-        // Search in expanding radius
-        for (let r = 1; r < 20; r++) {
-          let foundCoast = false;
-          
-          for (let dy = -r; dy <= r; dy++) {
-            for (let dx = -r; dx <= r; dx++) {
-              const nx = (tx + dx + TILE_WIDTH) % TILE_WIDTH;
-              const ny = ty + dy;
-              
-              if (ny < 0 || ny >= TILE_HEIGHT) continue;
-              
-              const neighbor = tileGrid[ny][nx];
-              if (!neighbor.isLand) {
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                minDist = Math.min(minDist, dist);
-                foundCoast = true;
-              }
-            }
-          }
-          
-          if (foundCoast) break;
-        }
-        
-        tile.distanceToCoast = minDist;
-      }
+    
+    if (h > 0.85 && t < 0.05) {
+      r = 245;
+      g = 248;
+      b = 252;
     }
   }
   
-  return tiles;
+  return [r, g, b];
 }
 
-// ============================================
-// TRIBE SPAWNING
-// ============================================
-
-function spawnInitialTribes(tiles, rng) {
-  const tribes = [];
-  const numTribes = Math.floor(rng.range(40, 80));
-  
-  // Find habitable tiles for spawning
-  const habitableTiles = tiles.filter(tile => 
-    tile.isLand && 
-    tile.habitability > 0.3 &&
-    tile.biomeType !== 'ice' &&
-    tile.biomeType !== 'alpine'
-  );
-  
-  // Sort by habitability
-  habitableTiles.sort((a, b) => b.habitability - a.habitability);
-  
-  // Spawn tribes in best locations
-  for (let i = 0; i < numTribes && i < habitableTiles.length; i++) {
-    const tile = habitableTiles[Math.floor(rng.next() * Math.min(habitableTiles.length, 200))];
-    
-    const population = Math.floor(rng.range(50, 200));
-    const tribe = new Tribe(i, tile.x, tile.y, population, rng);
-    
-    // Prefer river valleys and coasts
-    if (tile.riverPresence === 'major') {
-      tribe.population *= 1.5;
-    } else if (tile.riverPresence === 'minor') {
-      tribe.population *= 1.2;
-    }
-    
-    if (tile.distanceToCoast < 3) {
-      tribe.population *= 1.2;
-    }
-    
-    tribe.population = Math.floor(tribe.population);
-    
-    // Initialize territory (just current tile)
-    tribe.territories = [{ x: tile.x, y: tile.y }];
+// Colors the pixels of one row of the terrain texture, shifted by how far each
+// tile's climate and elevation have moved from the generated ones, see CLIMATE
+// and DISASTERS
+function paintTerrainRow(data, y, fromX, toX) {
+  const { height, temperature, moisture, tiles } = planetData;
+  const seaLevel = gameState.climate ? gameState.climate.seaLevel : 0;
+  const tileY = Math.floor(y / (MAP_HEIGHT / TILE_HEIGHT));
+  
+  for (let x = fromX; x < toX; x++) {
+    const i = y * MAP_WIDTH + x;
+    const pi = i * 4;
+    const tile = tiles[tileY * TILE_WIDTH + Math.floor(x / (MAP_WIDTH / TILE_WIDTH))];
+    
+    const [r, g, b] = terrainColor(
+      height[i] - seaLevel + tile.elevation - tile.baseElevation,
+      temperature[i] + tile.temperature - tile.baseTemperature,
+      moisture[i] + tile.rainfall - tile.baseRainfall
+    );
     
-    tribes.push(tribe);
+    data[pi] = r;
+    data[pi + 1] = g;
+    data[pi + 2] = b;
+    data[pi + 3] = 255;
   }
-  
-  return tribes;
-}
-
-// ============================================
-// SIMULATION TICK
-// ============================================
-
-function getTileAt(tiles, x, y) {
-  const index = y * TILE_WIDTH + x;
-  return tiles[index];
 }
 
-function simulateTick(tiles) {
-  if (!gameState.running) return;
-  
-  gameState.year += 1;
-  
-  // Update all tribes
-  for (let i = gameState.tribes.length - 1; i >= 0; i--) {
-    const tribe = gameState.tribes[i];
-    tribe.age++;
-    
-    const currentTile = getTileAt(tiles, tribe.x, tribe.y);
-    
-    // Population growth
-    if (currentTile.isLand) {
-      const growthRate = currentTile.foodPotential * 0.02;
-      tribe.population += Math.floor(tribe.population * growthRate);
-      
-      // Random events can reduce population
-      if (worldRng.next() < 0.01) {
-        tribe.population = Math.floor(tribe.population * 0.9); // disease/famine
-        logEvent('disaster', `${tribe.culture} tribe suffered from disease.`);
-      }
-    }
-    
-    // Death if population too low
-    if (tribe.population < 10) {
-      logEvent('extinction', `${tribe.culture} tribe has died out.`);
-      gameState.tribes.splice(i, 1);
-      continue;
-    }
-    
-    // Settlement check - if staying in one spot long enough
-    if (!tribe.settled) {
-      if (tribe.migrationCooldown > 0) {
-        tribe.migrationCooldown--;
-        tribe.settlementYears++;
-        
-        // After 50 years in same spot, consider settling
-        if (tribe.settlementYears > 50 && currentTile.habitability > 0.5 && tribe.population > 150) {
-          tribe.settled = true;
-          
-          // Tech advancement from settling
-          tribe.techLevel = 1; // Agriculture discovered
-          
-          // Chance to form proto-state
-          if (worldRng.next() < 0.3) {
-            formProtoState(tribe, tiles);
-            gameState.tribes.splice(i, 1);
-            continue;
-          } else {
-            logEvent('settlement', `${tribe.culture} tribe has settled.`);
-          }
-        }
-      } else {
-        // Time to migrate
-        migrateTribe(tribe, tiles);
-      }
-    } else {
-      // Settled tribes can expand territory
-      if (tribe.age % 10 === 0 && tribe.population > 200) {
-        expandTerritory(tribe, tiles, 'tribe');
-      }
-      
-      // Settled tribes might form countries
-      if (tribe.territories.length > 3 && tribe.population > 300 && worldRng.next() < 0.05) {
-        formProtoState(tribe, tiles);
-        gameState.tribes.splice(i, 1);
-        continue;
-      }
-    }
-    
-    // Splitting - if population gets too large
-    if (tribe.population > 500 && worldRng.next() < 0.05) {
-      splitTribe(tribe, tiles);
-    }
-    
-    // Early tribal conflicts
-    if (tribe.settled && worldRng.next() < 0.02) {
-      tribalConflict(tribe, tiles);
-    }
-  }
-  
-  // Update countries
-  for (const country of gameState.countries) {
-    country.age++;
-    country.leader.yearsInPower++;
-    country.leader.age++;
-    
-    // Population growth
-    let totalPop = 0;
-    for (const terr of country.territories) {
-      const tile = getTileAt(tiles, terr.x, terr.y);
-      const growth = tile.foodPotential * 0.03 * (1 + country.techLevel * 0.1);
-      totalPop += Math.floor(tile.populationCapacity * 1000 * growth);
-    }
-    country.population = totalPop;
-    
-    // Tech progression
-    if (country.age % 50 === 0 && worldRng.next() < 0.4) {
-      country.techLevel++;
-      logEvent('tech', `${country.name} advanced to tech level ${country.techLevel}.`);
-    }
+function drawRivers(ctx, rivers) {
+  for (const river of rivers) {
+    if (river.path.length < 2) continue;
     
-    // Leader death
-    if (country.leader.age > 65 && worldRng.next() < 0.05) {
-      const oldLeader = country.leader.name;
-      country.leader = generateLeader(worldRng);
-      logEvent('leader_change', `${oldLeader} of ${country.name} has died. ${country.leader.name} takes power.`);
-    }
+    const width = Math.max(1, river.strength * 2.5);
+    const alpha = Math.min(1, 0.6 + river.strength * 0.4);
     
-    // Expansion
-    if (country.age % 15 === 0) {
-      expandTerritory(country, tiles, 'country');
-    }
+    ctx.strokeStyle = `rgba(50, 120, 200, ${alpha})`;
+    ctx.lineWidth = width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
     
-    // Warfare
-    if (country.age > 30 && !country.atWar && worldRng.next() < 0.03) {
-      declareWar(country, tiles);
+    ctx.beginPath();
+    ctx.moveTo(river.path[0].x, river.path[0].y);
+    for (let i = 1; i < river.path.length; i++) {
+      ctx.lineTo(river.path[i].x, river.path[i].y);
     }
+    ctx.stroke();
   }
-  
-  // Check for tribe mergers
-  checkTribeMergers(tiles);
-  
-  // Update UI
-  updateGameUI();
-  
-  // Render overlay every tick
-  renderOverlay();
 }
 
-function migrateTribe(tribe, tiles) {
-  const currentTile = getTileAt(tiles, tribe.x, tribe.y);
+async function renderPlanetTexture() {
+  const textureCanvas = document.createElement('canvas');
+  textureCanvas.width = MAP_WIDTH;
+  textureCanvas.height = MAP_HEIGHT;
+  const textureCtx = textureCanvas.getContext('2d', { alpha: false });
   
-  // Find best neighboring tile
-  const neighbors = [];
-  const checkRadius = 2;
+  const imageData = textureCtx.createImageData(MAP_WIDTH, MAP_HEIGHT);
   
-  for (let dy = -checkRadius; dy <= checkRadius; dy++) {
-    for (let dx = -checkRadius; dx <= checkRadius; dx++) {
-      if (dx === 0 && dy === 0) continue;
-      
-      const nx = (tribe.x + dx + TILE_WIDTH) % TILE_WIDTH;
-      const ny = tribe.y + dy;
-      
-      if (ny < 0 || ny >= TILE_HEIGHT) continue;
-      
-      const tile = getTileAt(tiles, nx, ny);
-      
-      if (!tile.isLand) continue;
-      
-      // Score this tile
-      let score = tile.habitability * 100;
-      
-      // Prefer rivers
-      if (tile.riverPresence === 'major') score += 50;
-      else if (tile.riverPresence === 'minor') score += 25;
-      
-      // Prefer coasts
-      if (tile.distanceToCoast < 2) score += 30;
-      
-      // Avoid bad biomes
-      if (tile.biomeType === 'desert') score -= 40;
-      if (tile.biomeType === 'ice' || tile.biomeType === 'tundra') score -= 60;
-      
-      // Avoid mountains
-      if (tile.roughness > 0.5) score -= 30;
-      
-      neighbors.push({ tile, x: nx, y: ny, score });
+  for (let y = 0; y < MAP_HEIGHT; y++) {
+    paintTerrainRow(imageData.data, y, 0, MAP_WIDTH);
+    
+    if (y % 100 === 0) {
+      setProgress(0.80 + (y / MAP_HEIGHT) * 0.09, `Rendering: ${Math.floor(y / MAP_HEIGHT * 100)}%`);
+      await sleep(0);
     }
   }
   
-  if (neighbors.length === 0) return;
-  
-  // Sort by score
-  neighbors.sort((a, b) => b.score - a.score);
+  textureCtx.putImageData(imageData, 0, 0);
   
-  // Pick from top choices with some randomness
-  const choice = neighbors[Math.floor(worldRng.next() * Math.min(3, neighbors.length))];
+  // Draw rivers on top
+  drawRivers(textureCtx, planetData.rivers);
   
-  // Move tribe
-  tribe.x = choice.x;
-  tribe.y = choice.y;
-  tribe.territories = [{ x: choice.x, y: choice.y }];
-  tribe.migrationCooldown = Math.floor(worldRng.range(10, 30)); // Stay for a while
-  tribe.settlementYears = 0;
+  basePlanetTexture = textureCanvas;
+  terrainImage = imageData;
+  markTerrainPainted();
   
-  if (worldRng.next() < 0.1) {
-    logEvent('migration', `${tribe.culture} tribe migrated to new lands.`);
-  }
+  mapCtx.drawImage(textureCanvas, 0, 0);
 }
 
-function formProtoState(tribe, tiles) {
-  const countryName = generateCountryName(tribe.culture, worldRng);
-  const country = new Country(
-    gameState.countries.length,
-    countryName,
-    tribe.x,
-    tribe.y,
-    tribe.color,
-    worldRng
-  );
-  
-  country.population = tribe.population;
-  country.territories = [...tribe.territories];
-  country.techLevel = tribe.techLevel;
-  country.government = 'chiefdom';
-  
-  gameState.countries.push(country);
-  logEvent('country_formed', `${countryName} has been founded!`);
-}
+// What each tile looked like when the terrain was last painted, so a climate
+// change only repaints the tiles it visibly altered
+const TERRAIN_REPAINT_TOLERANCE = 0.05;
+const paintedTerrain = {
+  temperature: new Float32Array(TILE_WIDTH * TILE_HEIGHT),
+  rainfall: new Float32Array(TILE_WIDTH * TILE_HEIGHT),
+  seaLevel: 0
+};
 
-function expandTerritory(entity, tiles, entityType) {
-  // Tribes can only expand to max 5 tiles (small tribal territories)
-  if (entityType === 'tribe' && entity.territories.length >= 5) {
-    return;
+function markTerrainPainted(tiles = planetData.tiles) {
+  for (const tile of tiles) {
+    const i = tile.y * TILE_WIDTH + tile.x;
+    paintedTerrain.temperature[i] = tile.temperature;
+    paintedTerrain.rainfall[i] = tile.rainfall;
   }
-  
-  // Find neighboring unclaimed tiles
-  const newTerritories = [];
-  
-  for (const terr of entity.territories) {
-    const neighbors = [
-      { x: (terr.x - 1 + TILE_WIDTH) % TILE_WIDTH, y: terr.y },
-      { x: (terr.x + 1) % TILE_WIDTH, y: terr.y },
-      { x: terr.x, y: Math.max(0, terr.y - 1) },
-      { x: terr.x, y: Math.min(TILE_HEIGHT - 1, terr.y + 1) }
-    ];
-    
-    for (const n of neighbors) {
-      const tile = getTileAt(tiles, n.x, n.y);
-      
-      if (!tile.isLand) continue;
-      
-      // Check if already claimed by this entity
-      const alreadyOwned = entity.territories.some(t => t.x === n.x && t.y === n.y);
-      if (alreadyOwned) continue;
-      
-      // CRITICAL: Check if claimed by ANY other entity
-      let claimedByOther = false;
-      
-      // Check all countries
-      for (const country of gameState.countries) {
-        if (country.id !== entity.id || entityType !== 'country') {
-          if (country.territories.some(t => t.x === n.x && t.y === n.y)) {
-            claimedByOther = true;
-            break;
-          }
-        }
-      }
-      
-      // Check all tribes
-      if (!claimedByOther) {
-        for (const tribe of gameState.tribes) {
-          if (tribe.id !== entity.id || entityType !== 'tribe') {
-            if (tribe.territories.some(t => t.x === n.x && t.y === n.y)) {
-              claimedByOther = true;
-              break;
-            }
-          }
-        }
-      }
-      
-      if (claimedByOther) continue;
-      
-      // Expand if habitable
-      if (tile.habitability > 0.3 && worldRng.next() < 0.3) {
-        newTerritories.push({ x: n.x, y: n.y });
-      }
-    }
-  }
-  
-  entity.territories.push(...newTerritories);
+  paintedTerrain.seaLevel = gameState.climate ? gameState.climate.seaLevel : 0;
 }
 
-function tribalConflict(tribe, tiles) {
-  // Find neighboring tribes
-  for (const otherTribe of gameState.tribes) {
-    if (otherTribe.id === tribe.id) continue;
-    
-    // Check if territories are adjacent
-    let areAdjacent = false;
-    for (const terr of tribe.territories) {
-      for (const otherTerr of otherTribe.territories) {
-        const dx = Math.abs(terr.x - otherTerr.x);
-        const dy = Math.abs(terr.y - otherTerr.y);
-        
-        // Adjacent if exactly 1 tile away (not diagonal)
-        if ((dx === 1 && dy === 0) || (dx === 0 && dy === 1)) {
-          areAdjacent = true;
-          break;
-        }
-      }
-      if (areAdjacent) break;
-    }
-    
-    if (areAdjacent && otherTribe.settled) {
-      // Conflict!
-      if (tribe.population > otherTribe.population * 1.3) {
-        // Tribe conquers other tribe
-        tribe.population += Math.floor(otherTribe.population * 0.5);
-        
-        // Take all territories
-        for (const terr of otherTribe.territories) {
-          // Only add if not already owned
-          if (!tribe.territories.some(t => t.x === terr.x && t.y === terr.y)) {
-            tribe.territories.push(terr);
-          }
-        }
-        
-        logEvent('conquest', `${tribe.culture} tribe conquered ${otherTribe.culture} tribe.`);
-        
-        const index = gameState.tribes.indexOf(otherTribe);
-        if (index > -1) gameState.tribes.splice(index, 1);
-        
-        return;
-      }
+// Tiles that need repainting: those whose biome or coast changed, those whose
+// climate drifted past the tolerance, and, if the sea moved, those whose
+// pixels span the old and new sea level
+function staleTerrainTiles(changed) {
+  const stale = new Set(changed);
+  const seaLevel = gameState.climate.seaLevel;
+  const low = Math.min(seaLevel, paintedTerrain.seaLevel);
+  const high = Math.max(seaLevel, paintedTerrain.seaLevel);
+  
+  for (const tile of planetData.tiles) {
+    const i = tile.y * TILE_WIDTH + tile.x;
+    if (Math.abs(tile.temperature - paintedTerrain.temperature[i]) > TERRAIN_REPAINT_TOLERANCE ||
+        Math.abs(tile.rainfall - paintedTerrain.rainfall[i]) > TERRAIN_REPAINT_TOLERANCE) {
+      stale.add(tile);
+    } else if (low !== high && tile.elevation - tile.roughness - 0.08 <= high && tile.elevation + tile.roughness >= low) {
+      // -0.08 is where shallow water turns deep in terrainColor
+      stale.add(tile);
     }
   }
+  return [...stale];
 }
 
-function declareWar(country, tiles) {
-  // Find neighboring countries
-  const neighbors = [];
-  
-  for (const otherCountry of gameState.countries) {
-    if (otherCountry.id === country.id) continue;
-    
-    // Check for shared borders
-    for (const terr of country.territories) {
-      const adjacent = [
-        { x: (terr.x - 1 + TILE_WIDTH) % TILE_WIDTH, y: terr.y },
-        { x: (terr.x + 1) % TILE_WIDTH, y: terr.y },
-        { x: terr.x, y: Math.max(0, terr.y - 1) },
-        { x: terr.x, y: Math.min(TILE_HEIGHT - 1, terr.y + 1) }
-      ];
-      
-      for (const adj of adjacent) {
-        if (otherCountry.territories.some(t => t.x === adj.x && t.y === adj.y)) {
-          if (!neighbors.includes(otherCountry)) {
-            neighbors.push(otherCountry);
-          }
-        }
-      }
-    }
-  }
+// Repaints just the stale tiles into the cached terrain, then puts back the
+// rivers over the repainted area
+function repaintTerrain(changed) {
+  if (!terrainImage) return;
   
-  if (neighbors.length === 0) return;
+  const stale = staleTerrainTiles(changed);
+  if (stale.length === 0) return;
   
-  // Pick a target based on leader aggression
-  const target = neighbors[Math.floor(worldRng.next() * neighbors.length)];
+  const pixelsPerTileX = MAP_WIDTH / TILE_WIDTH;
+  const pixelsPerTileY = MAP_HEIGHT / TILE_HEIGHT;
+  let minX = MAP_WIDTH, minY = MAP_HEIGHT, maxX = 0, maxY = 0;
   
-  if (country.leader.traits.aggression > 0.6 || country.territories.length < target.territories.length * 0.5) {
-    country.atWar = true;
-    target.atWar = true;
-    
-    logEvent('war', `${country.name} declared war on ${target.name}!`);
-    
-    // Simple war resolution after some time
-    setTimeout(() => {
-      resolveWar(country, target, tiles);
-    }, worldRng.range(5000, 15000)); // 5-15 seconds
-  }
+  for (const tile of stale) {
+    const fromX = tile.x * pixelsPerTileX;
+    const fromY = tile.y * pixelsPerTileY;
+    for (let y = fromY; y < fromY + pixelsPerTileY; y++) {
+      paintTerrainRow(terrainImage.data, y, fromX, fromX + pixelsPerTileX);
+    }
+    minX = Math.min(minX, fromX);
+    minY = Math.min(minY, fromY);
+    maxX = Math.max(maxX, fromX + pixelsPerTileX);
+    maxY = Math.max(maxY, fromY + pixelsPerTileY);
+  }
+  
+  const textureCtx = basePlanetTexture.getContext('2d');
+  textureCtx.putImageData(terrainImage, 0, 0, minX, minY, maxX - minX, maxY - minY);
+  textureCtx.save();
+  textureCtx.beginPath();
+  textureCtx.rect(minX, minY, maxX - minX, maxY - minY);
+  textureCtx.clip();
+  drawRivers(textureCtx, planetData.rivers);
+  textureCtx.restore();
+  
+  markTerrainPainted(stale);
+  paintedTerrain.seaLevel = gameState.climate.seaLevel;
 }
 
-function resolveWar(attacker, defender, tiles) {
-  attacker.atWar = false;
-  defender.atWar = false;
-  
-  // Simple resolution based on size and tech
-  const attackerStrength = attacker.territories.length * (1 + attacker.techLevel * 0.2);
-  const defenderStrength = defender.territories.length * (1 + defender.techLevel * 0.2);
+// The world is a cylinder: the camera wraps east-west and is clamped at the poles
+function clampCamera() {
+  const viewHeight = window.innerHeight / camera.zoom;
+  const maxY = Math.max(0, MAP_HEIGHT - viewHeight);
   
-  if (attackerStrength > defenderStrength * 1.3) {
-    // Attacker wins - takes some territory
-    const taken = Math.floor(defender.territories.length * 0.3);
-    
-    // Take territories from defender
-    const takenTerr = defender.territories.splice(0, taken);
-    
-    // Only add territories that aren't already owned by attacker
-    for (const terr of takenTerr) {
-      if (!attacker.territories.some(t => t.x === terr.x && t.y === terr.y)) {
-        attacker.territories.push(terr);
-      }
-    }
-    
-    logEvent('war_end', `${attacker.name} victorious over ${defender.name}!`);
-    
-    // Defender might collapse
-    if (defender.territories.length < 2) {
-      logEvent('collapse', `${defender.name} has collapsed!`);
-      const index = gameState.countries.indexOf(defender);
-      if (index > -1) gameState.countries.splice(index, 1);
-    }
-  } else {
-    logEvent('war_end', `${defender.name} defended against ${attacker.name}.`);
-  }
+  camera.x = ((camera.x % MAP_WIDTH) + MAP_WIDTH) % MAP_WIDTH;
+  camera.y = Math.max(0, Math.min(maxY, camera.y));
 }
 
-function splitTribe(tribe, tiles) {
-  const newPopulation = Math.floor(tribe.population * 0.4);
-  tribe.population -= newPopulation;
-  
-  const newTribe = new Tribe(
-    gameState.tribes.length,
-    tribe.x,
-    tribe.y,
-    newPopulation,
-    worldRng
-  );
-  
-  newTribe.culture = tribe.culture; // Inherit culture
-  newTribe.techLevel = tribe.techLevel;
+// Draws a map-sized layer into the view, tiling it across the east-west seam
+function drawWrapped(source, viewWidth, viewHeight) {
+  const scaleX = MAP_WIDTH / viewWidth;
   
-  gameState.tribes.push(newTribe);
+  let srcX = camera.x;
+  let destX = 0;
+  let remaining = viewWidth;
   
-  // New tribe migrates immediately
-  newTribe.migrationCooldown = 0;
-}
-
-function checkTribeMergers(tiles) {
-  for (let i = 0; i < gameState.tribes.length; i++) {
-    for (let j = i + 1; j < gameState.tribes.length; j++) {
-      const t1 = gameState.tribes[i];
-      const t2 = gameState.tribes[j];
-      
-      // Check if in same location
-      if (t1.x === t2.x && t1.y === t2.y) {
-        // Check if compatible (same culture or both very small)
-        if (t1.culture === t2.culture || (t1.population < 100 && t2.population < 100)) {
-          // Merge into larger tribe
-          if (t1.population >= t2.population) {
-            t1.population += t2.population;
-            gameState.tribes.splice(j, 1);
-          } else {
-            t2.population += t1.population;
-            gameState.tribes.splice(i, 1);
-          }
-          return; // Only one merge per tick
-        }
-      }
-    }
+  while (remaining > 0) {
+    const width = Math.min(remaining, MAP_WIDTH - srcX);
+    mapCtx.drawImage(
+      source,
+      srcX, camera.y, width, viewHeight,
+      destX, 0, width * scaleX, MAP_HEIGHT
+    );
+    destX += width * scaleX;
+    remaining -= width;
+    srcX = 0;
   }
 }
 
-function updateGameUI() {
-  const tribeCount = gameState.tribes.length;
-  const countryCount = gameState.countries.length;
-  
-  document.getElementById('worldStats').textContent = 
-    `Year ${gameState.year} | Tribes: ${tribeCount} | Countries: ${countryCount}`;
-}
-
-async function generatePlanet() {
-  const seed = Date.now();
-  const rng = new Random(seed);
-  const noise = new PerlinNoise(rng);
-  
-  worldRng = rng;
-  worldNoise = noise;
-  
-  setProgress(0, 'Initializing...');
-  
-  const height = new Float32Array(MAP_WIDTH * MAP_HEIGHT);
-  const moisture = new Float32Array(MAP_WIDTH * MAP_HEIGHT);
-  const temperature = new Float32Array(MAP_WIDTH * MAP_HEIGHT);
+function renderCamera() {
+  if (!basePlanetTexture) return;
   
-  const idx = (x, y) => y * MAP_WIDTH + x;
+  const screenWidth = window.innerWidth;
+  const screenHeight = window.innerHeight;
   
-  setProgress(0.05, 'Forming continents...');
+  const viewWidth = screenWidth / camera.zoom;
+  const viewHeight = screenHeight / camera.zoom;
   
-  for (let y = 0; y < MAP_HEIGHT; y++) {
-    for (let x = 0; x < MAP_WIDTH; x++) {
-      const i = idx(x, y);
-      
-      const nx = x / MAP_WIDTH;
-      const ny = y / MAP_HEIGHT;
-      
-      const lat = Math.abs(ny * 2 - 1);
-      const latWeight = 1 - Math.pow(lat, 1.5) * 0.3;
-      
-      const continentalScale = 2.2;
-      const continental = noise.fbm(
-        nx * continentalScale, 
-        ny * continentalScale, 
-        5, 
-        0.55, 
-        2.1,
-        0.5
-      );
-      
-      const terrainScale = 7;
-      const terrain = noise.fbm(
-        nx * terrainScale + 50, 
-        ny * terrainScale + 50, 
-        5, 
-        0.6, 
-        2.0
-      );
-      
-      const detailScale = 20;
-      const detail = noise.fbm(
-        nx * detailScale + 200, 
-        ny * detailScale + 200, 
-        4, 
-        0.5, 
-        2.0
-      );
-      
-      let elevation = continental * 0.60 + terrain * 0.28 + detail * 0.12;
-      elevation *= latWeight;
-      
-      if (lat < 0.35) {
-        elevation += 0.08 * (1 - lat / 0.35);
-      }
-      
-      height[i] = elevation;
-    }
-    
-    if (y % 50 === 0) {
-      setProgress(0.05 + (y / MAP_HEIGHT) * 0.25, `Continents: ${Math.floor(y / MAP_HEIGHT * 100)}%`);
-      await sleep(0);
-    }
-  }
+  clampCamera();
   
-  setProgress(0.30, 'Adjusting sea level...');
+  mapCtx.clearRect(0, 0, MAP_WIDTH, MAP_HEIGHT);
   
-  const sorted = new Float32Array(height).sort();
-  const seaLevel = sorted[Math.floor(sorted.length * 0.60)];
+  drawWrapped(getBaseLayer(), viewWidth, viewHeight);
   
-  for (let i = 0; i < height.length; i++) {
-    height[i] = (height[i] - seaLevel) * 2.8;
+  // Draw overlay on top
+  drawWrapped(overlayCanvas, viewWidth, viewHeight);
+}
+
+// Dotted line from a tribe along its planned route, unwrapped so it runs on
+// across the seam, with a ring at the destination
+function drawTribeRoute(tribe, pixelsPerTileX, pixelsPerTileY) {
+  const points = [{ x: tribe.x, y: tribe.y }];
+  let x = tribe.x;
+  let lastX = tribe.x;
+  for (const step of tribe.path) {
+    let dx = step.x - lastX;
+    if (dx > TILE_WIDTH / 2) dx -= TILE_WIDTH;
+    if (dx < -TILE_WIDTH / 2) dx += TILE_WIDTH;
+    x += dx;
+    lastX = step.x;
+    points.push({ x, y: step.y });
+  }
+  
+  const end = points[points.length - 1];
+  overlayCtx.lineWidth = 1.5;
+  overlayCtx.strokeStyle = '#ffffff';
+  
+  for (const offset of [0, -MAP_WIDTH, MAP_WIDTH]) {
+    overlayCtx.setLineDash([2, 3]);
+    overlayCtx.beginPath();
+    points.forEach((p, i) => {
+      const px = (p.x + 0.5) * pixelsPerTileX + offset;
+      const py = (p.y + 0.5) * pixelsPerTileY;
+      if (i === 0) overlayCtx.moveTo(px, py);
+      else overlayCtx.lineTo(px, py);
+    });
+    overlayCtx.stroke();
+    
+    overlayCtx.setLineDash([]);
+    overlayCtx.beginPath();
+    overlayCtx.arc((end.x + 0.5) * pixelsPerTileX + offset, (end.y + 0.5) * pixelsPerTileY, 3, 0, Math.PI * 2);
+    overlayCtx.stroke();
   }
-  
-  setProgress(0.35, 'Raising mountains...');
+}
 
-  for (let y = 0; y < MAP_HEIGHT; y++) {
-    for (let x = 0; x < MAP_WIDTH; x++) {
-      const i = idx(x, y);
-      const nx = x / MAP_WIDTH;
-      const ny = y / MAP_HEIGHT;
-
-      if (height[i] > 0.08) {
-        const continentalMask = Math.max(0, Math.min(1,
-          (noise.fbm(nx * 0.6 + 900, ny * 0.6 + 900, 2, 0.6, 2.0) + 1) * 0.5
-        ));
-
-        const mountainScale = 5;
-        let mountainNoise = noise.fbm(
-          nx * mountainScale + 300,
-          ny * mountainScale + 300,
-          4,
-          0.5,
-          2.2
-        );
-
-        mountainNoise = 1 - Math.abs(mountainNoise);
-        if (mountainNoise > 0.35) {
-          const peakFactor = Math.pow((mountainNoise - 0.35) / (1 - 0.35), 1.6);
-          const amplitude = 0.18;
-          height[i] += peakFactor * amplitude * continentalMask;
-        }
-      }
-    }
+// Territories on the same landmass as the capital
+function homelandTerritories(country) {
+  const home = homeLandmass(country, planetData.tiles);
+  return country.territories.filter(t => getTileAt(planetData.tiles, t.x, t.y).landmass === home);
+}
 
-    if (y % 60 === 0) {
-      setProgress(0.35 + (y / MAP_HEIGHT) * 0.15, `Mountains: ${Math.floor(y / MAP_HEIGHT * 100)}%`);
-      await sleep(0);
-    }
+// Names of the other landmasses a country holds land on
+function colonyLandmasses(country) {
+  const home = homeLandmass(country, planetData.tiles);
+  const lands = new Set();
+  for (const terr of country.territories) {
+    const land = getTileAt(planetData.tiles, terr.x, terr.y).landmass;
+    if (land !== home) lands.add(gameState.landmassNames[land] || 'Unnamed');
   }
-  
-  setProgress(0.50, 'Calculating temperature...');
-  
-  for (let y = 0; y < MAP_HEIGHT; y++) {
-    const lat = Math.abs((y / MAP_HEIGHT) * 2 - 1);
-    
-    for (let x = 0; x < MAP_WIDTH; x++) {
-      const i = idx(x, y);
-      
-      let temp = 1 - lat * 1.3;
-      
-      if (height[i] > 0) {
-        temp -= height[i] * 0.45;
-      } else {
-        temp += 0.12;
-      }
-      
-      const nx = x / MAP_WIDTH;
-      const ny = y / MAP_HEIGHT;
-      temp += noise.noise(nx * 8 + 400, ny * 8 + 400) * 0.08;
-      
-      temperature[i] = Math.max(-1, Math.min(1, temp));
-    }
-    
-    if (y % 60 === 0) {
-      setProgress(0.50 + (y / MAP_HEIGHT) * 0.10, `Temperature: ${Math.floor(y / MAP_HEIGHT * 100)}%`);
-      await sleep(0);
-    }
-  }
-  
-  setProgress(0.60, 'Simulating climate...');
-  
-  for (let y = 0; y < MAP_HEIGHT; y++) {
-    for (let x = 0; x < MAP_WIDTH; x++) {
-      const i = idx(x, y);
-      const nx = x / MAP_WIDTH;
-      const ny = y / MAP_HEIGHT;
-      const lat = Math.abs((y / MAP_HEIGHT) * 2 - 1);
-      
-      let precip = noise.fbm(nx * 5 + 500, ny * 5 + 500, 4, 0.5, 2.0);
-      precip = (precip + 1) / 2;
-      
-      precip *= 1.2 - lat * 0.6;
-      
-      if (height[i] > 0 && height[i] < 0.15) {
-        precip += 0.25;
-      }
-      
-      if (height[i] > 0.5) {
-        precip *= 0.5;
-      }
-      
-      if (height[i] < 0) {
-        precip = 0.6;
-      }
-      
-      moisture[i] = Math.max(0, Math.min(1.2, precip));
-    }
-    
-    if (y % 60 === 0) {
-      setProgress(0.60 + (y / MAP_HEIGHT) * 0.10, `Climate: ${Math.floor(y / MAP_HEIGHT * 100)}%`);
-      await sleep(0);
-    }
-  }
-  
-  setProgress(0.70, 'Generating rivers...');
-  const rivers = await generateRivers(height, moisture, rng);
-  
-  setProgress(0.75, 'Creating tile system...');
-  const tiles = await generateTileSystem(height, temperature, moisture, rivers, rng);
-  
-  setProgress(0.85, 'Spawning tribes...');
-  const tribes = spawnInitialTribes(tiles, rng);
-  gameState.tribes = tribes;
-  gameState.year = 0;
-  
-  console.log(`Spawned ${tribes.length} tribes`);
-  console.log('Sample tribe:', tribes[0]);
-  
-  setProgress(0.90, 'Rendering planet...');
-  await renderPlanetTexture(height, temperature, moisture, rivers);
-  
-  planetData = { height, temperature, moisture, rivers, tiles, seed };
-  
-  const planetName = generatePlanetName(rng);
-  document.getElementById('worldName').textContent = planetName;
-  updateGameUI();
-  
-  setProgress(1, 'Complete!');
-  return planetData;
+  return [...lands];
 }
 
-async function renderPlanetTexture(height, temperature, moisture, rivers) {
-  const textureCanvas = document.createElement('canvas');
-  textureCanvas.width = MAP_WIDTH;
-  textureCanvas.height = MAP_HEIGHT;
-  const textureCtx = textureCanvas.getContext('2d', { alpha: false });
-  
-  const imageData = textureCtx.createImageData(MAP_WIDTH, MAP_HEIGHT);
-  const data = imageData.data;
-  
-  for (let y = 0; y < MAP_HEIGHT; y++) {
-    for (let x = 0; x < MAP_WIDTH; x++) {
-      const i = y * MAP_WIDTH + x;
-      const pi = i * 4;
-      
-      const h = height[i];
-      const t = temperature[i];
-      const m = moisture[i];
-      
-      let r, g, b;
-      
-      if (h < -0.08) {
-        const depth = Math.max(0, Math.min(1, -h / 1.0));
-        r = Math.floor(8 + depth * 18);
-        g = Math.floor(25 + depth * 55);
-        b = Math.floor(50 + depth * 150);
-      }
-      else if (h < 0) {
-        r = 22;
-        g = 70;
-        b = 160;
-      }
-      else {
-        if (t < -0.35) {
-          const shade = 240 + h * 15;
-          r = g = b = Math.floor(shade);
-        }
-        else if (t < -0.05) {
-          r = Math.floor(145 + m * 35);
-          g = Math.floor(160 + m * 45);
-          b = Math.floor(135 + m * 25);
-        }
-        else if (m < 0.22) {
-          r = Math.floor(205 + t * 35);
-          g = Math.floor(175 + t * 28);
-          b = Math.floor(115 + t * 18);
-        }
-        else if (m < 0.48) {
-          r = Math.floor(125 - m * 45);
-          g = Math.floor(145 + m * 45);
-          b = Math.floor(65 + m * 25);
-        }
-        else if (m < 0.75) {
-          r = Math.floor(55 + t * 30);
-          g = Math.floor(105 + m * 55);
-          b = Math.floor(45 + t * 20);
-        }
-        else {
-          r = Math.floor(35 + t * 20);
-          g = Math.floor(95 + m * 75);
-          b = Math.floor(45 + t * 25);
-        }
-        
-        if (h > 0.65) {
-          const baseGray = 85 + h * 35;
-          r = Math.floor(baseGray);
-          g = Math.floor(baseGray);
-          b = Math.floor(baseGray);
-        }
-        
-        if (h > 0.85 && t < 0.05) {
-          r = 245;
-          g = 248;
-          b = 252;
-        }
-      }
-      
-      data[pi] = r;
-      data[pi + 1] = g;
-      data[pi + 2] = b;
-      data[pi + 3] = 255;
-    }
-    
-    if (y % 100 === 0) {
-      setProgress(0.80 + (y / MAP_HEIGHT) * 0.09, `Rendering: ${Math.floor(y / MAP_HEIGHT * 100)}%`);
-      await sleep(0);
-    }
+// Centroid in tile units that survives straddling the seam: x is averaged as
+// an angle around the cylinder instead of linearly
+function wrappedCentroid(territories) {
+  let sumCos = 0, sumSin = 0, sumY = 0;
+  for (const terr of territories) {
+    const angle = (terr.x / TILE_WIDTH) * Math.PI * 2;
+    sumCos += Math.cos(angle);
+    sumSin += Math.sin(angle);
+    sumY += terr.y;
   }
   
-  textureCtx.putImageData(imageData, 0, 0);
+  let angle = Math.atan2(sumSin, sumCos);
+  if (angle < 0) angle += Math.PI * 2;
   
-  // Draw rivers on top
-  for (const river of rivers) {
-    if (river.path.length < 2) continue;
-    
-    const width = Math.max(1, river.strength * 2.5);
-    const alpha = Math.min(1, 0.6 + river.strength * 0.4);
-    
-    textureCtx.strokeStyle = `rgba(50, 120, 200, ${alpha})`;
-    textureCtx.lineWidth = width;
-    textureCtx.lineCap = 'round';
-    textureCtx.lineJoin = 'round';
-    
-    textureCtx.beginPath();
-    textureCtx.moveTo(river.path[0].x, river.path[0].y);
-    for (let i = 1; i < river.path.length; i++) {
-      textureCtx.lineTo(river.path[i].x, river.path[i].y);
-    }
-    textureCtx.stroke();
-  }
-  
-  basePlanetTexture = textureCanvas;
-  
-  mapCtx.drawImage(textureCanvas, 0, 0);
+  return {
+    x: (angle / (Math.PI * 2)) * TILE_WIDTH,
+    y: sumY / territories.length
+  };
 }
 
-function renderCamera() {
-  if (!basePlanetTexture) return;
-  
-  const screenWidth = window.innerWidth;
-  const screenHeight = window.innerHeight;
-  
-  const viewWidth = screenWidth / camera.zoom;
-  const viewHeight = screenHeight / camera.zoom;
-  
-  const maxX = Math.max(0, MAP_WIDTH - viewWidth);
-  const maxY = Math.max(0, MAP_HEIGHT - viewHeight);
-  
-  camera.x = Math.max(0, Math.min(maxX, camera.x));
-  camera.y = Math.max(0, Math.min(maxY, camera.y));
-  
-  mapCtx.clearRect(0, 0, MAP_WIDTH, MAP_HEIGHT);
-  
-  mapCtx.drawImage(
-    basePlanetTexture,
-    camera.x, camera.y, viewWidth, viewHeight,
-    0, 0, MAP_WIDTH, MAP_HEIGHT
-  );
+// Labels near the seam are drawn again on the far side so they aren't cut off
+function fillTextWrapped(text, x, y) {
+  const halfWidth = overlayCtx.measureText(text).width / 2;
   
-  // Draw overlay on top
-  mapCtx.drawImage(
-    overlayCanvas,
-    camera.x, camera.y, viewWidth, viewHeight,
-    0, 0, MAP_WIDTH, MAP_HEIGHT
-  );
+  overlayCtx.fillText(text, x, y);
+  if (x + halfWidth > MAP_WIDTH) overlayCtx.fillText(text, x - MAP_WIDTH, y);
+  if (x - halfWidth < 0) overlayCtx.fillText(text, x + MAP_WIDTH, y);
+}
+
+// Entity colors are hsl() strings; this turns them into hsla() with the given alpha
+function withAlpha(color, alpha) {
+  return color.replace(/^hsl\((.*)\)$/, `hsla($1, ${alpha})`);
 }
 
 function renderOverlay() {
   overlayCtx.clearRect(0, 0, MAP_WIDTH, MAP_HEIGHT);
   
+  // Political mode draws flat, opaque country colors over a blank map
+  const political = mapMode === 'political';
+  
   const pixelsPerTileX = MAP_WIDTH / TILE_WIDTH;
   const pixelsPerTileY = MAP_HEIGHT / TILE_HEIGHT;
   
   // Draw country territories
   for (const country of gameState.countries) {
-    overlayCtx.fillStyle = country.color + '40'; // Semi-transparent
+    overlayCtx.fillStyle = withAlpha(country.color, political ? 1 : 0.25); // Semi-transparent over terrain
     
     for (const terr of country.territories) {
       const px = terr.x * pixelsPerTileX;
@@ -1614,7 +504,7 @@ function renderOverlay() {
   // Draw tribe territories
   for (const tribe of gameState.tribes) {
     // Show ALL tribes, not just settled ones
-    overlayCtx.fillStyle = tribe.color + '30';
+    overlayCtx.fillStyle = withAlpha(tribe.color, political ? 0.7 : 0.19);
     
     for (const terr of tribe.territories) {
       const px = terr.x * pixelsPerTileX;
@@ -1623,11 +513,32 @@ function renderOverlay() {
     }
   }
   
+  // Hatch tiles under military occupation in the occupier's color
+  overlayCtx.lineWidth = 1.5;
+  for (const war of gameState.wars) {
+    for (const occ of war.occupied) {
+      const occupier = getCountryById(occ.occupier);
+      if (!occupier) continue;
+      
+      const px = occ.x * pixelsPerTileX;
+      const py = occ.y * pixelsPerTileY;
+      overlayCtx.strokeStyle = occupier.color;
+      overlayCtx.beginPath();
+      overlayCtx.moveTo(px, py + pixelsPerTileY);
+      overlayCtx.lineTo(px + pixelsPerTileX, py);
+      overlayCtx.moveTo(px, py + pixelsPerTileY / 2);
+      overlayCtx.lineTo(px + pixelsPerTileX / 2, py);
+      overlayCtx.moveTo(px + pixelsPerTileX / 2, py + pixelsPerTileY);
+      overlayCtx.lineTo(px + pixelsPerTileX, py + pixelsPerTileY / 2);
+      overlayCtx.stroke();
+    }
+  }
+  
   // Draw borders for countries
   overlayCtx.lineWidth = 2;
   
   for (const country of gameState.countries) {
-    overlayCtx.strokeStyle = country.color + 'CC';
+    overlayCtx.strokeStyle = withAlpha(country.color, 0.8);
     
     for (const terr of country.territories) {
       const px = terr.x * pixelsPerTileX;
@@ -1645,7 +556,7 @@ function renderOverlay() {
         
         if (ny < 0 || ny >= TILE_HEIGHT) continue;
         
-        const isOwn = country.territories.some(t => t.x === nx && t.y === ny);
+        const isOwn = ownsTile(country, nx, ny);
         
         if (!isOwn) {
           // Draw border
@@ -1673,7 +584,7 @@ function renderOverlay() {
   overlayCtx.lineWidth = 1.5;
   
   for (const tribe of gameState.tribes) {
-    overlayCtx.strokeStyle = tribe.color + 'AA';
+    overlayCtx.strokeStyle = withAlpha(tribe.color, 0.67);
     
     for (const terr of tribe.territories) {
       const px = terr.x * pixelsPerTileX;
@@ -1691,7 +602,7 @@ function renderOverlay() {
         
         if (ny < 0 || ny >= TILE_HEIGHT) continue;
         
-        const isOwn = tribe.territories.some(t => t.x === nx && t.y === ny);
+        const isOwn = ownsTile(tribe, nx, ny);
         
         if (!isOwn) {
           // Draw border
@@ -1715,6 +626,105 @@ function renderOverlay() {
     }
   }
   
+  // Draw trade routes as dashed lines between capitals, taking the short way
+  // around the seam
+  overlayCtx.lineWidth = 1.5;
+  overlayCtx.strokeStyle = 'rgba(255, 215, 120, 0.7)';
+  overlayCtx.setLineDash([6, 4]);
+  
+  for (const route of gameState.tradeRoutes) {
+    const a = getCountryById(route.a);
+    const b = getCountryById(route.b);
+    if (!a || !b) continue;
+    
+    let dx = b.capitalX - a.capitalX;
+    if (dx > TILE_WIDTH / 2) dx -= TILE_WIDTH;
+    if (dx < -TILE_WIDTH / 2) dx += TILE_WIDTH;
+    
+    const ax = (a.capitalX + 0.5) * pixelsPerTileX;
+    const ay = (a.capitalY + 0.5) * pixelsPerTileY;
+    const bx = ax + dx * pixelsPerTileX;
+    const by = (b.capitalY + 0.5) * pixelsPerTileY;
+    
+    // A route crossing the seam is drawn again from the other side
+    for (const offset of [0, -MAP_WIDTH, MAP_WIDTH]) {
+      if (offset !== 0 && Math.min(ax, bx) + offset > MAP_WIDTH) continue;
+      if (offset !== 0 && Math.max(ax, bx) + offset < 0) continue;
+      overlayCtx.beginPath();
+      overlayCtx.moveTo(ax + offset, ay);
+      overlayCtx.lineTo(bx + offset, by);
+      overlayCtx.stroke();
+    }
+  }
+  
+  overlayCtx.setLineDash([]);
+  
+  // The route of the selected tribe, if it is on the move
+  const selected = gameState.selectedEntity;
+  if (selected && selected.type === 'tribe' && selected.data.path.length > 0 && gameState.tribes.includes(selected.data)) {
+    drawTribeRoute(selected.data, pixelsPerTileX, pixelsPerTileY);
+  }
+  
+  // Shade tiles sick with an active epidemic
+  overlayCtx.fillStyle = 'rgba(170, 230, 40, 0.45)';
+  for (const epidemic of gameState.epidemics) {
+    for (const { i } of epidemic.infected) {
+      const x = i % TILE_WIDTH;
+      const y = Math.floor(i / TILE_WIDTH);
+      overlayCtx.fillRect(x * pixelsPerTileX, y * pixelsPerTileY, pixelsPerTileX, pixelsPerTileY);
+    }
+  }
+  
+  // Ring recent disasters in their color, fading as they age
+  overlayCtx.lineWidth = 2;
+  for (const disaster of gameState.disasters) {
+    const fade = 1 - (gameState.year - disaster.year) / DISASTER.showYears;
+    const x = (disaster.x + 0.5) * pixelsPerTileX;
+    const y = (disaster.y + 0.5) * pixelsPerTileY;
+    const radius = (disaster.radius + 0.5) * pixelsPerTileX;
+    
+    overlayCtx.strokeStyle = overlayCtx.fillStyle = DISASTER_TYPES[disaster.type].color;
+    for (const offset of [0, -MAP_WIDTH, MAP_WIDTH]) {
+      overlayCtx.beginPath();
+      overlayCtx.arc(x + offset, y, radius, 0, Math.PI * 2);
+      overlayCtx.globalAlpha = Math.max(0, fade) * 0.2;
+      overlayCtx.fill();
+      overlayCtx.globalAlpha = Math.max(0, fade);
+      overlayCtx.stroke();
+    }
+  }
+  overlayCtx.globalAlpha = 1;
+  
+  // Draw settlements as dots sized by population, capitals ringed in gold
+  const dotRadius = { village: 1.2, town: 2, city: 3, metropolis: 4.5 };
+  overlayCtx.lineWidth = 1;
+  overlayCtx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+  
+  for (const settlement of gameState.settlements) {
+    const owner = settlementOwner(settlement);
+    const x = (settlement.x + 0.5) * pixelsPerTileX;
+    const y = (settlement.y + 0.5) * pixelsPerTileY;
+    const radius = dotRadius[settlementSize(settlement).id];
+    const capital = owner instanceof Country && isCapital(owner, settlement.x, settlement.y);
+    
+    // Repeated across the seam, so towns on the map edge aren't cut in half
+    for (const offset of [0, -MAP_WIDTH, MAP_WIDTH]) {
+      overlayCtx.beginPath();
+      overlayCtx.arc(x + offset, y, radius, 0, Math.PI * 2);
+      overlayCtx.fillStyle = '#f4f0e6';
+      overlayCtx.fill();
+      overlayCtx.stroke();
+      
+      if (capital) {
+        overlayCtx.beginPath();
+        overlayCtx.arc(x + offset, y, radius + 1.5, 0, Math.PI * 2);
+        overlayCtx.strokeStyle = '#ffd24a';
+        overlayCtx.stroke();
+        overlayCtx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+      }
+    }
+  }
+  
   // Draw labels
   overlayCtx.textAlign = 'center';
   overlayCtx.textBaseline = 'middle';
@@ -1724,47 +734,219 @@ function renderOverlay() {
   for (const country of gameState.countries) {
     if (country.territories.length === 0) continue;
     
-    // Calculate center of country
-    let sumX = 0, sumY = 0;
-    for (const terr of country.territories) {
-      sumX += terr.x;
-      sumY += terr.y;
-    }
-    const centerX = (sumX / country.territories.length) * pixelsPerTileX;
-    const centerY = (sumY / country.territories.length) * pixelsPerTileY;
+    // Calculate center of country, leaving out colonies so the label stays
+    // on the homeland instead of drifting out to sea
+    const homeland = homelandTerritories(country);
+    const center = wrappedCentroid(homeland.length > 0 ? homeland : country.territories);
+    const centerX = center.x * pixelsPerTileX;
+    const centerY = center.y * pixelsPerTileY;
     
     // Font size based on territory size
-    const fontSize = Math.max(12, Math.min(40, country.territories.length * 2));
+    const fontSize = Math.max(12, Math.min(40, homeland.length * 2));
     overlayCtx.font = `bold ${fontSize}px Arial`;
     overlayCtx.fillStyle = '#ffffff';
     
-    overlayCtx.fillText(country.name, centerX, centerY);
+    fillTextWrapped(country.name, centerX, centerY);
   }
   
   // Draw tribe labels (smaller)
   for (const tribe of gameState.tribes) {
     if (tribe.territories.length > 0) {
-      let sumX = 0, sumY = 0;
-      for (const terr of tribe.territories) {
-        sumX += terr.x;
-        sumY += terr.y;
-      }
-      const centerX = (sumX / tribe.territories.length) * pixelsPerTileX;
-      const centerY = (sumY / tribe.territories.length) * pixelsPerTileY;
+      const center = wrappedCentroid(tribe.territories);
+      const centerX = center.x * pixelsPerTileX;
+      const centerY = center.y * pixelsPerTileY;
       
       const fontSize = Math.max(8, Math.min(16, tribe.territories.length * 1.5));
       overlayCtx.font = `${fontSize}px Arial`;
       overlayCtx.fillStyle = '#eeeeee';
       
-      overlayCtx.fillText(tribe.culture, centerX, centerY);
+      fillTextWrapped(cultureName(tribe.culture), centerX, centerY);
     }
   }
   
+  // Settlement names under their dots, villages left unnamed
+  const labelSize = { town: 6, city: 8, metropolis: 10 };
+  overlayCtx.fillStyle = '#f4f0e6';
+  for (const settlement of gameState.settlements) {
+    const size = settlementSize(settlement).id;
+    if (!labelSize[size]) continue;
+    
+    overlayCtx.font = `${labelSize[size]}px Arial`;
+    fillTextWrapped(settlement.name, (settlement.x + 0.5) * pixelsPerTileX, (settlement.y + 0.5) * pixelsPerTileY + labelSize[size] + 1);
+  }
+  
   overlayCtx.shadowBlur = 0;
   
   renderCamera();
 }
 
+// ============================================
+// MAP MODES
+// ============================================
+
+const OCEAN_COLOR = [18, 32, 58];
+const LAND_COLOR = [58, 58, 62];
+
+const BIOME_COLORS = {
+  ocean: [22, 70, 160],
+  ice: [240, 244, 250],
+  tundra: [150, 165, 140],
+  alpine: [120, 115, 110],
+  desert: [220, 190, 120],
+  savanna: [190, 175, 80],
+  grassland: [120, 170, 80],
+  forest: [40, 110, 50],
+  jungle: [20, 130, 70]
+};
+
+// Color ramps as evenly spaced RGB stops
+const RAMPS = {
+  heat: [[49, 54, 149], [116, 173, 209], [255, 255, 191], [244, 109, 67], [165, 0, 38]],
+  elevation: [[8, 29, 88], [65, 140, 200], [90, 150, 70], [200, 180, 110], [250, 250, 250]],
+  wet: [[140, 81, 10], [223, 194, 125], [199, 234, 229], [53, 151, 143], [1, 102, 94]],
+  good: [[60, 20, 20], [180, 70, 40], [240, 200, 80], [120, 200, 90], [30, 140, 60]],
+  amount: [[30, 30, 40], [90, 60, 130], [200, 80, 120], [250, 170, 70], [250, 250, 180]]
+};
+
+const MAP_MODES = {
+  terrain: { label: 'Terrain' },
+  political: {
+    label: 'Political',
+    color: tile => tile.isLand ? LAND_COLOR : OCEAN_COLOR
+  },
+  biome: {
+    label: 'Biome',
+    color: tile => BIOME_COLORS[tile.biomeType],
+    categories: BIOME_COLORS
+  },
+  elevation: { label: 'Elevation', field: 'elevation', min: -1, max: 1, ramp: 'elevation' },
+  temperature: { label: 'Temperature', field: 'temperature', min: -1, max: 1, ramp: 'heat' },
+  rainfall: { label: 'Rainfall', field: 'rainfall', min: 0, max: 1.2, ramp: 'wet', landOnly: true },
+  habitability: { label: 'Habitability', field: 'habitability', min: 0, max: 1, ramp: 'good', landOnly: true },
+  fertility: { label: 'Fertility', field: 'fertility', min: 0, max: 0.8, ramp: 'good', landOnly: true },
+  wood: { label: 'Wood', field: 'wood', min: 0, max: 1, ramp: 'amount', landOnly: true },
+  stone: { label: 'Stone', field: 'stone', min: 0, max: 1, ramp: 'amount', landOnly: true },
+  metals: { label: 'Metals', field: 'metals', min: 0, max: 1, ramp: 'amount', landOnly: true },
+  disease: { label: 'Disease', field: 'diseaseRisk', min: 0, max: 1, ramp: 'heat', landOnly: true },
+  movement: { label: 'Movement', field: 'movementCost', min: 1, max: 4.5, ramp: 'amount', landOnly: true }
+};
+
+let mapMode = 'terrain';
+const mapModeTextures = {}; // mode -> rendered base layer, built on first use
+
+function rampColor(stops, t) {
+  t = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(t));
+  const f = t - i;
+  const a = stops[i];
+  const b = stops[i + 1];
+  return [
+    Math.round(a[0] + (b[0] - a[0]) * f),
+    Math.round(a[1] + (b[1] - a[1]) * f),
+    Math.round(a[2] + (b[2] - a[2]) * f)
+  ];
+}
+
+function mapModeColor(mode, tile) {
+  if (mode.color) return mode.color(tile);
+  if (mode.landOnly && !tile.isLand) return OCEAN_COLOR;
+  return rampColor(RAMPS[mode.ramp], (tile[mode.field] - mode.min) / (mode.max - mode.min));
+}
+
+// Paints one pixel per tile, then scales it up to map size without smoothing
+function renderMapModeTexture(mode) {
+  const small = document.createElement('canvas');
+  small.width = TILE_WIDTH;
+  small.height = TILE_HEIGHT;
+  const smallCtx = small.getContext('2d');
+  const imageData = smallCtx.createImageData(TILE_WIDTH, TILE_HEIGHT);
+  const data = imageData.data;
+  
+  for (const tile of planetData.tiles) {
+    const [r, g, b] = mapModeColor(mode, tile);
+    const pi = (tile.y * TILE_WIDTH + tile.x) * 4;
+    data[pi] = r;
+    data[pi + 1] = g;
+    data[pi + 2] = b;
+    data[pi + 3] = 255;
+  }
+  smallCtx.putImageData(imageData, 0, 0);
+  
+  const texture = document.createElement('canvas');
+  texture.width = MAP_WIDTH;
+  texture.height = MAP_HEIGHT;
+  const textureCtx = texture.getContext('2d', { alpha: false });
+  textureCtx.imageSmoothingEnabled = false;
+  textureCtx.drawImage(small, 0, 0, MAP_WIDTH, MAP_HEIGHT);
+  
+  return texture;
+}
+
+function getBaseLayer() {
+  if (mapMode === 'terrain' || !planetData) return basePlanetTexture;
+  
+  if (!mapModeTextures[mapMode]) {
+    mapModeTextures[mapMode] = renderMapModeTexture(MAP_MODES[mapMode]);
+  }
+  return mapModeTextures[mapMode];
+}
+
+// Drop cached layers whenever tile data changes (e.g. a new world)
+function invalidateMapModes() {
+  for (const mode in mapModeTextures) {
+    delete mapModeTextures[mode];
+  }
+}
+
+function updateMapLegend() {
+  const legend = document.getElementById('mapLegend');
+  const mode = MAP_MODES[mapMode];
+  
+  if (mode.field) {
+    const stops = RAMPS[mode.ramp].map(c => `rgb(${c.join(',')})`).join(', ');
+    legend.innerHTML = `
+      <div class="legend-title">${mode.label}</div>
+      <div class="legend-ramp" style="background: linear-gradient(90deg, ${stops});"></div>
+      <div class="legend-range"><span>${mode.min}</span><span>${mode.max}</span></div>
+    `;
+  } else if (mode.categories) {
+    legend.innerHTML = `<div class="legend-title">${mode.label}</div>` +
+      Object.entries(mode.categories).map(([name, c]) => `
+        <div class="legend-item"><span class="legend-swatch" style="background: rgb(${c.join(',')});"></span>${name}</div>
+      `).join('');
+  } else {
+    legend.innerHTML = '';
+  }
+  
+  legend.style.display = legend.innerHTML ? 'block' : 'none';
+}
+
+function setMapMode(mode) {
+  mapMode = mode;
+  
+  document.querySelectorAll('.map-mode-btn').forEach(b => {
+    b.classList.toggle('active', b.getAttribute('data-mode') === mode);
+  });
+  updateMapLegend();
+  
+  renderOverlay();
+}
+
+function buildMapModeToolbar() {
+  const toolbar = document.getElementById('mapModeToolbar');
+  
+  for (const [mode, spec] of Object.entries(MAP_MODES)) {
+    const btn = document.createElement('button');
+    btn.className = 'map-mode-btn' + (mode === mapMode ? ' active' : '');
+    btn.setAttribute('data-mode', mode);
+    btn.textContent = spec.label;
+    btn.addEventListener('click', () => setMapMode(mode));
+    toolbar.appendChild(btn);
+  }
+}
+
+buildMapModeToolbar();
+
 // ============================================
 // KEYBOARD CAMERA CONTROLS
 // ============================================
@@ -1783,6 +965,9 @@ const keyState = {
 const CAMERA_SPEED = 20; // pixels per frame when key is held
 
 window.addEventListener('keydown', (e) => {
+  // Don't steal keystrokes from the seed and save name fields
+  if (e.target instanceof HTMLInputElement) return;
+  
   const key = e.key.toLowerCase();
   if (key in keyState || e.key in keyState) {
     keyState[key] || (keyState[e.key] = true);
@@ -1815,19 +1000,13 @@ function updateCameraFromKeys() {
     camera.x += CAMERA_SPEED / camera.zoom;
   }
   
-  // Clamp camera position
-  const screenWidth = window.innerWidth;
-  const screenHeight = window.innerHeight;
-  const viewWidth = screenWidth / camera.zoom;
-  const viewHeight = screenHeight / camera.zoom;
-  const maxX = Math.max(0, MAP_WIDTH - viewWidth);
-  const maxY = Math.max(0, MAP_HEIGHT - viewHeight);
-  
-  camera.x = Math.max(0, Math.min(maxX, camera.x));
-  camera.y = Math.max(0, Math.min(maxY, camera.y));
+  clampCamera();
 }
 
 mapCanvas.addEventListener('click', (e) => {
+  // The end of a drag is not a tile click
+  if (camera.dragMoved) return;
+  
   const rect = mapCanvas.getBoundingClientRect();
   const mouseX = e.clientX - rect.left;
   const mouseY = e.clientY - rect.top;
@@ -1844,40 +1023,49 @@ mapCanvas.addEventListener('click', (e) => {
   const pixelsPerTileX = MAP_WIDTH / TILE_WIDTH;
   const pixelsPerTileY = MAP_HEIGHT / TILE_HEIGHT;
   
-  const tileX = Math.floor(worldX / pixelsPerTileX);
+  const tileX = Math.floor(worldX / pixelsPerTileX) % TILE_WIDTH;
   const tileY = Math.floor(worldY / pixelsPerTileY);
   
-  // Check if clicking on a country
-  let clicked = false;
-  for (const country of gameState.countries) {
-    if (country.territories.some(t => t.x === tileX && t.y === tileY)) {
-      showCountryInfo(country);
-      clicked = true;
-      return;
-    }
-  }
+  if (tileY < 0 || tileY >= TILE_HEIGHT) return;
   
-  // Check if clicking on a tribe
-  if (!clicked) {
-    for (const tribe of gameState.tribes) {
-      if (tribe.territories.some(t => t.x === tileX && t.y === tileY)) {
-        showTribeInfo(tribe);
-        clicked = true;
-        return;
-      }
-    }
-  }
+  gameState.selectedEntity = null;
   
-  // Otherwise show tile info
-  if (!clicked && planetData && planetData.tiles) {
-    const tile = getTileAt(planetData.tiles, tileX, tileY);
-    if (tile) {
+  const settlement = settlementAt(tileX, tileY);
+  if (settlement) {
+    gameState.selectedEntity = { type: 'settlement', data: settlement };
+    showSettlementInfo(settlement);
+  } else {
+    // Check if clicking on a country or tribe
+    const owner = getTileOwner(tileX, tileY);
+    if (owner instanceof Country) {
+      gameState.selectedEntity = { type: 'country', data: owner };
+      showCountryInfo(owner);
+    } else if (owner instanceof Tribe) {
+      gameState.selectedEntity = { type: 'tribe', data: owner };
+      showTribeInfo(owner);
+    } else if (planetData && planetData.tiles) {
+      // Otherwise show tile info
+      const tile = getTileAt(planetData.tiles, tileX, tileY);
+      gameState.selectedEntity = { type: 'tile', data: tile };
       showTileInfo(tile);
-      return;
     }
   }
+  
+  // Redraw for anything drawn only while selected
+  renderOverlay();
 });
 
+// Names and messages can come from a loaded save, so nothing interpolated
+// into the info panel is trusted as markup
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function infoRow(label, value) {
+  const labelSpan = label === null ? '' : `<span class="info-label">${escapeHtml(label)}:</span>`;
+  return `<div class="info-row">${labelSpan}<span class="info-value">${escapeHtml(value)}</span></div>`;
+}
+
 function showTileInfo(tile) {
   const panel = document.getElementById('infoPanel');
   const title = document.getElementById('infoPanelTitle');
@@ -1886,17 +1074,76 @@ function showTileInfo(tile) {
   title.textContent = `Tile (${tile.x}, ${tile.y})`;
   
   content.innerHTML = `
-    <div class="info-row"><span class="info-label">Biome:</span><span class="info-value">${tile.biomeType}</span></div>
-    <div class="info-row"><span class="info-label">Elevation:</span><span class="info-value">${tile.elevation.toFixed(2)}</span></div>
-    <div class="info-row"><span class="info-label">Temperature:</span><span class="info-value">${tile.temperature.toFixed(2)}</span></div>
-    <div class="info-row"><span class="info-label">Rainfall:</span><span class="info-value">${tile.rainfall.toFixed(2)}</span></div>
-    <div class="info-row"><span class="info-label">Habitability:</span><span class="info-value">${tile.habitability.toFixed(2)}</span></div>
-    <div class="info-row"><span class="info-label">River:</span><span class="info-value">${tile.riverPresence}</span></div>
-    <div class="info-row"><span class="info-label">Coast Distance:</span><span class="info-value">${tile.distanceToCoast.toFixed(1)}</span></div>
-    <div class="info-row"><span class="info-label">Food Potential:</span><span class="info-value">${tile.foodPotential.toFixed(2)}</span></div>
-    <div class="info-row"><span class="info-label">Wood:</span><span class="info-value">${tile.wood.toFixed(2)}</span></div>
-    <div class="info-row"><span class="info-label">Stone:</span><span class="info-value">${tile.stone.toFixed(2)}</span></div>
-    <div class="info-row"><span class="info-label">Metals:</span><span class="info-value">${tile.metals.toFixed(2)}</span></div>
+    ${infoRow('Biome', tile.biomeType)}
+    ${infoRow('Landmass', tile.isLand ? gameState.landmassNames[tile.landmass] || 'Unnamed' : 'None')}
+    ${infoRow('Elevation', tile.elevation.toFixed(2))}
+    ${infoRow('Temperature', tile.temperature.toFixed(2))}
+    ${infoRow('Rainfall', tile.rainfall.toFixed(2))}
+    ${infoRow('Habitability', tile.habitability.toFixed(2))}
+    ${infoRow('River', tile.riverPresence)}
+    ${infoRow('Coast Distance', tile.distanceToCoast.toFixed(1))}
+    ${infoRow('Food Potential', tile.foodPotential.toFixed(2))}
+    ${tile.isLand ? `
+    ${infoRow('Wood', tile.wood.toFixed(2))}
+    ${infoRow('Stone', tile.stone.toFixed(2))}
+    ${infoRow('Metals', tile.metals.toFixed(2))}
+    ` : ''}
+  `;
+  
+  panel.style.display = 'block';
+}
+
+const RULER_FATES = { died: 'died', term: 'term ended', overthrown: 'overthrown' };
+
+function countryNames(countries) {
+  return countries.length > 0 ? countries.map(c => c.name).join(', ') : 'None';
+}
+
+// Treaties first, then the countries this one feels most strongly about
+function diplomacyRows(country) {
+  const overlord = overlordOf(country);
+  const rows = [
+    infoRow('Overlord', overlord ? overlord.name : 'None'),
+    infoRow('Vassals', countryNames(vassalsOf(country))),
+    infoRow('Allies', countryNames(treatyPartners(country, 'alliance'))),
+    infoRow('Pacts', countryNames(treatyPartners(country, 'pact')))
+  ];
+  
+  const relations = gameState.countries
+    .filter(c => c !== country)
+    .map(c => ({ country: c, value: Math.round(getRelation(country, c)) }))
+    .filter(r => r.value !== 0)
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+    .slice(0, 6);
+  
+  for (const r of relations) {
+    rows.push(infoRow(r.country.name, r.value > 0 ? `+${r.value}` : r.value));
+  }
+  
+  return rows.join('');
+}
+
+function techNames(entity) {
+  return entity.techs.length > 0 ? entity.techs.map(id => TECHNOLOGIES[id].name).join(', ') : 'None';
+}
+
+function showSettlementInfo(settlement) {
+  const panel = document.getElementById('infoPanel');
+  const title = document.getElementById('infoPanelTitle');
+  const content = document.getElementById('infoPanelContent');
+  
+  const owner = settlementOwner(settlement);
+  const ownerName = owner instanceof Country ? owner.name : `${cultureName(owner.culture)} Tribe`;
+  const capital = owner instanceof Country && isCapital(owner, settlement.x, settlement.y);
+  
+  title.textContent = settlement.name;
+  
+  content.innerHTML = `
+    ${infoRow('Size', `${settlementSize(settlement).name}${capital ? ' (capital)' : ''}`)}
+    ${infoRow('Population', Math.floor(settlementPopulation(settlement)).toLocaleString())}
+    ${infoRow('Held By', ownerName)}
+    ${infoRow('Founded', `Year ${settlement.founded} by the ${cultureName(settlement.culture)}`)}
+    ${infoRow('Location', `(${settlement.x}, ${settlement.y})`)}
   `;
   
   panel.style.display = 'block';
@@ -1907,15 +1154,16 @@ function showTribeInfo(tribe) {
   const title = document.getElementById('infoPanelTitle');
   const content = document.getElementById('infoPanelContent');
   
-  title.textContent = `${tribe.culture} Tribe`;
+  title.textContent = `${cultureName(tribe.culture)} Tribe`;
   
   content.innerHTML = `
-    <div class="info-row"><span class="info-label">Population:</span><span class="info-value">${tribe.population}</span></div>
-    <div class="info-row"><span class="info-label">Age:</span><span class="info-value">${tribe.age} years</span></div>
-    <div class="info-row"><span class="info-label">Tech Level:</span><span class="info-value">${tribe.techLevel}</span></div>
-    <div class="info-row"><span class="info-label">Status:</span><span class="info-value">${tribe.settled ? 'Settled' : 'Nomadic'}</span></div>
-    <div class="info-row"><span class="info-label">Territories:</span><span class="info-value">${tribe.territories.length}</span></div>
-    <div class="info-row"><span class="info-label">Location:</span><span class="info-value">(${tribe.x}, ${tribe.y})</span></div>
+    ${infoRow('Population', tribe.population)}
+    ${infoRow('Age', `${tribe.age} years`)}
+    ${infoRow('Technology', techNames(tribe))}
+    ${infoRow('Status', tribe.settled ? 'Settled' : 'Nomadic')}
+    ${infoRow('Heading To', tribe.path.length > 0 ? `(${tribe.targetX}, ${tribe.targetY}), ${tribe.path.length} tiles away` : 'Nowhere')}
+    ${infoRow('Territories', tribe.territories.length)}
+    ${infoRow('Location', `(${tribe.x}, ${tribe.y})`)}
   `;
   
   panel.style.display = 'block';
@@ -1928,22 +1176,85 @@ function showCountryInfo(country) {
   
   title.textContent = country.name;
   
+  const enemies = [];
+  for (const war of gameState.wars) {
+    const side = war.attackers.includes(country.id) ? war.defenders :
+      war.defenders.includes(country.id) ? war.attackers : null;
+    if (!side) continue;
+    for (const id of side) {
+      const enemy = getCountryById(id);
+      if (enemy) enemies.push(`${enemy.name} (score ${Math.round(side === war.defenders ? war.warScore : -war.warScore)})`);
+    }
+  }
+  
+  const partners = gameState.tradeRoutes
+    .filter(r => r.a === country.id || r.b === country.id)
+    .map(r => getCountryById(r.a === country.id ? r.b : r.a))
+    .filter(Boolean)
+    .map(c => c.name);
+  
+  const researching = country.researching ?
+    `${TECHNOLOGIES[country.researching].name} (${Math.floor(country.research / TECHNOLOGIES[country.researching].cost * 100)}%)` :
+    'Nothing';
+  
+  const capital = capitalSettlement(country);
+  const epidemics = gameState.epidemics
+    .filter(e => e.infected.some(({ i }) => ownsTile(country, i % TILE_WIDTH, Math.floor(i / TILE_WIDTH))))
+    .map(e => e.name);
+  const towns = settlementsOf(country)
+    .slice(0, 5)
+    .map(s => `${s.name} (${Math.floor(settlementPopulation(s)).toLocaleString()})`);
+  
+  const minorities = country.minorities
+    .map(m => `${cultureName(m.culture)} (${(m.share * 100).toFixed(0)}%)`);
+  
+  const colonies = colonyLandmasses(country);
+  
+  const rulerRows = [...country.rulers].reverse().map(r =>
+    infoRow(`${r.start}–${r.end}`, `${r.name} of House ${r.dynasty} (${RULER_FATES[r.fate]})`)
+  ).join('');
+  
+  const resourceRows = ['food', 'wood', 'stone', 'metal'].map(r => {
+    const label = r.charAt(0).toUpperCase() + r.slice(1);
+    return infoRow(label, `${Math.floor(country.resources[r])} (+${Math.floor(country.income[r])}/yr)`);
+  }).join('');
+  
   content.innerHTML = `
-    <div class="info-row"><span class="info-label">Government:</span><span class="info-value">${country.government}</span></div>
-    <div class="info-row"><span class="info-label">Leader:</span><span class="info-value">${country.leader.name}</span></div>
-    <div class="info-row"><span class="info-label">Leader Age:</span><span class="info-value">${country.leader.age}</span></div>
-    <div class="info-row"><span class="info-label">Years in Power:</span><span class="info-value">${country.leader.yearsInPower}</span></div>
-    <div class="info-row"><span class="info-label">Population:</span><span class="info-value">${country.population.toLocaleString()}</span></div>
-    <div class="info-row"><span class="info-label">Age:</span><span class="info-value">${country.age} years</span></div>
-    <div class="info-row"><span class="info-label">Tech Level:</span><span class="info-value">${country.techLevel}</span></div>
-    <div class="info-row"><span class="info-label">Territories:</span><span class="info-value">${country.territories.length}</span></div>
-    <div class="info-row"><span class="info-label">At War:</span><span class="info-value">${country.atWar ? 'Yes' : 'No'}</span></div>
-    <div class="info-row"><span class="info-label">Capital:</span><span class="info-value">(${country.capitalX}, ${country.capitalY})</span></div>
+    ${infoRow('Government', GOVERNMENTS[country.government].title)}
+    ${infoRow('Stability', `${(country.stability * 100).toFixed(0)}%`)}
+    ${infoRow('Culture', cultureName(country.culture))}
+    ${infoRow('Minorities', minorities.length > 0 ? minorities.join(', ') : 'None')}
+    ${infoRow('Leader', country.leader.name)}
+    ${infoRow('Dynasty', `House ${country.leader.dynasty}`)}
+    ${infoRow('Leader Age', country.leader.age)}
+    ${infoRow('Years in Power', country.leader.yearsInPower)}
+    ${infoRow('Population', country.population.toLocaleString())}
+    ${infoRow('Age', `${country.age} years`)}
+    ${infoRow('Researching', researching)}
+    ${infoRow('Territories', country.territories.length)}
+    ${infoRow('At War', enemies.length > 0 ? enemies.join(', ') : 'No')}
+    ${infoRow('Capital', `${capital ? capital.name : 'None'} (${country.capitalX}, ${country.capitalY})`)}
+    ${infoRow('Largest Towns', towns.length > 0 ? towns.join(', ') : 'None')}
+    ${infoRow('Colonies On', colonies.length > 0 ? colonies.join(', ') : 'None')}
+    ${infoRow('Army', country.army)}
+    ${infoRow('Famine', country.famine ? 'Yes' : 'No')}
+    ${infoRow('Epidemics', epidemics.length > 0 ? epidemics.join(', ') : 'None')}
+    ${infoRow('Trade Partners', partners.length > 0 ? partners.join(', ') : 'None')}
+    <h4 style="color: var(--accent); margin-top: 12px; margin-bottom: 6px;">Resources</h4>
+    ${resourceRows}
+    <h4 style="color: var(--accent); margin-top: 12px; margin-bottom: 6px;">Technology</h4>
+    ${infoRow(null, techNames(country))}
     <h4 style="color: var(--accent); margin-top: 12px; margin-bottom: 6px;">Leader Traits</h4>
-    <div class="info-row"><span class="info-label">Aggression:</span><span class="info-value">${(country.leader.traits.aggression * 100).toFixed(0)}%</span></div>
-    <div class="info-row"><span class="info-label">Diplomacy:</span><span class="info-value">${(country.leader.traits.diplomacy * 100).toFixed(0)}%</span></div>
-    <div class="info-row"><span class="info-label">Ambition:</span><span class="info-value">${(country.leader.traits.ambition * 100).toFixed(0)}%</span></div>
-    <div class="info-row"><span class="info-label">Caution:</span><span class="info-value">${(country.leader.traits.caution * 100).toFixed(0)}%</span></div>
+    ${infoRow('Aggression', `${(country.leader.traits.aggression * 100).toFixed(0)}%`)}
+    ${infoRow('Diplomacy', `${(country.leader.traits.diplomacy * 100).toFixed(0)}%`)}
+    ${infoRow('Ambition', `${(country.leader.traits.ambition * 100).toFixed(0)}%`)}
+    ${infoRow('Caution', `${(country.leader.traits.caution * 100).toFixed(0)}%`)}
+    <h4 style="color: var(--accent); margin-top: 12px; margin-bottom: 6px;">Diplomacy</h4>
+    ${diplomacyRows(country)}
+    <details class="ruler-list">
+      <summary>Past Rulers (${country.rulers.length})</summary>
+      ${rulerRows || infoRow(null, 'None yet')}
+    </details>
   `;
   
   panel.style.display = 'block';
@@ -1951,34 +1262,209 @@ function showCountryInfo(country) {
 
 document.getElementById('closeInfoPanel').addEventListener('click', () => {
   document.getElementById('infoPanel').style.display = 'none';
+  gameState.selectedEntity = null;
+  renderOverlay();
 });
 
-window.addEventListener('mousemove', (e) => {
-  if (!camera.isDragging) return;
+// ============================================
+// MOUSE & TOUCH CAMERA CONTROLS
+// ============================================
+
+const DRAG_THRESHOLD = 4; // pixels of movement before a press becomes a drag
+const WHEEL_ZOOM_SPEED = 0.0015;
+const ZOOM_SMOOTHING = 0.2; // fraction of the remaining zoom covered per frame
+
+function clampZoom(zoom) {
+  return Math.max(camera.minZoom, Math.min(camera.maxZoom, zoom));
+}
+
+// Sets the zoom immediately while keeping the world point under the anchor still
+function applyZoom(zoom, anchorX, anchorY) {
+  const worldX = camera.x + anchorX / camera.zoom;
+  const worldY = camera.y + anchorY / camera.zoom;
+  
+  camera.zoom = zoom;
+  camera.x = worldX - anchorX / camera.zoom;
+  camera.y = worldY - anchorY / camera.zoom;
+}
+
+// Eases camera.zoom toward targetZoom, called once per frame from gameLoop
+function updateCameraZoom() {
+  const diff = camera.targetZoom - camera.zoom;
+  if (Math.abs(diff) < 0.0005) {
+    if (diff !== 0) applyZoom(camera.targetZoom, camera.zoomAnchorX, camera.zoomAnchorY);
+    return;
+  }
+  
+  applyZoom(camera.zoom + diff * ZOOM_SMOOTHING, camera.zoomAnchorX, camera.zoomAnchorY);
+}
+
+// Screen coordinates in canvas space (the canvas is stretched to the window)
+function toCanvasPoint(clientX, clientY) {
+  const rect = mapCanvas.getBoundingClientRect();
+  return {
+    x: (clientX - rect.left) * window.innerWidth / rect.width,
+    y: (clientY - rect.top) * window.innerHeight / rect.height
+  };
+}
+
+function startDrag(clientX, clientY) {
+  camera.isDragging = true;
+  camera.dragMoved = false;
+  camera.dragStartX = clientX;
+  camera.dragStartY = clientY;
+  camera.dragStartCamX = camera.x;
+  camera.dragStartCamY = camera.y;
+}
+
+function moveDrag(clientX, clientY) {
+  const dx = clientX - camera.dragStartX;
+  const dy = clientY - camera.dragStartY;
   
-  const dx = e.clientX - camera.dragStartX;
-  const dy = e.clientY - camera.dragStartY;
+  if (!camera.dragMoved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+  camera.dragMoved = true;
+  mapCanvas.style.cursor = 'grabbing';
   
   camera.x = camera.dragStartCamX - dx / camera.zoom;
   camera.y = camera.dragStartCamY - dy / camera.zoom;
   
   renderCamera();
+}
+
+function endDrag() {
+  camera.isDragging = false;
+  mapCanvas.style.cursor = 'pointer';
+}
+
+mapCanvas.addEventListener('wheel', (e) => {
+  e.preventDefault();
+  
+  const point = toCanvasPoint(e.clientX, e.clientY);
+  camera.zoomAnchorX = point.x;
+  camera.zoomAnchorY = point.y;
+  camera.targetZoom = clampZoom(camera.targetZoom * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED));
+}, { passive: false });
+
+mapCanvas.addEventListener('mousedown', (e) => {
+  if (e.button !== 0) return;
+  startDrag(e.clientX, e.clientY);
 });
 
-mapCanvas.style.cursor = 'pointer';
+window.addEventListener('mousemove', (e) => {
+  if (!camera.isDragging) return;
+  moveDrag(e.clientX, e.clientY);
+});
+
+window.addEventListener('mouseup', () => {
+  if (camera.isDragging) endDrag();
+});
+
+// One finger pans, two fingers pinch-zoom around their midpoint
+const pinch = {
+  active: false,
+  startDistance: 0,
+  startZoom: 1
+};
+
+function touchDistance(touches) {
+  return Math.hypot(
+    touches[0].clientX - touches[1].clientX,
+    touches[0].clientY - touches[1].clientY
+  );
+}
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function touchMidpoint(touches) {
+  return toCanvasPoint(
+    (touches[0].clientX + touches[1].clientX) / 2,
+    (touches[0].clientY + touches[1].clientY) / 2
+  );
 }
 
-document.getElementById('playBtn').addEventListener('click', async () => {
+mapCanvas.addEventListener('touchstart', (e) => {
+  if (e.touches.length === 1) {
+    startDrag(e.touches[0].clientX, e.touches[0].clientY);
+  } else if (e.touches.length === 2) {
+    endDrag();
+    camera.dragMoved = true;
+    pinch.active = true;
+    pinch.startDistance = touchDistance(e.touches);
+    pinch.startZoom = camera.zoom;
+  }
+}, { passive: true });
+
+mapCanvas.addEventListener('touchmove', (e) => {
+  e.preventDefault();
+  
+  if (pinch.active && e.touches.length === 2) {
+    const mid = touchMidpoint(e.touches);
+    const zoom = clampZoom(pinch.startZoom * touchDistance(e.touches) / pinch.startDistance);
+    applyZoom(zoom, mid.x, mid.y);
+    camera.targetZoom = zoom;
+    renderCamera();
+  } else if (camera.isDragging && e.touches.length === 1) {
+    moveDrag(e.touches[0].clientX, e.touches[0].clientY);
+  }
+}, { passive: false });
+
+mapCanvas.addEventListener('touchend', (e) => {
+  if (e.touches.length < 2) pinch.active = false;
+  
+  if (e.touches.length === 1) {
+    // Lifting one finger of a pinch continues as a pan from here
+    const moved = camera.dragMoved;
+    startDrag(e.touches[0].clientX, e.touches[0].clientY);
+    camera.dragMoved = moved;
+  } else if (e.touches.length === 0) {
+    endDrag();
+  }
+});
+
+mapCanvas.style.cursor = 'pointer';
+
+document.getElementById('randomSeedBtn').addEventListener('click', () => {
+  document.getElementById('seedInput').value = randomSeed();
+});
+
+document.getElementById('playBtn').addEventListener('click', () => {
+  const seedInput = document.getElementById('seedInput');
+  if (seedInput.value.trim() === '') {
+    seedInput.value = randomSeed();
+  }
+  startWorld(parseSeed(seedInput.value), document.getElementById('terrainSelect').value);
+});
+
+// Generates the world for a seed and, when given a save, resumes it on top
+async function startWorld(seed, terrainMode = 'noise', save = null) {
+  gameState.running = false;
+  
   document.getElementById('mainMenu').style.display = 'none';
   document.getElementById('gameView').style.display = 'block';
+  document.getElementById('gameUI').style.display = 'none';
+  document.getElementById('settingsPanel').style.display = 'none';
+  document.getElementById('infoPanel').style.display = 'none';
+  document.getElementById('progressUI').classList.remove('hidden');
   
   initCanvases();
   
   try {
-    await generatePlanet();
+    await generatePlanet(seed, terrainMode);
+    
+    // Restored first, so the planet is rendered in the saved climate
+    if (save) {
+      setProgress(0.90, 'Restoring history...');
+      restoreGame(save);
+    }
+    
+    setProgress(0.90, 'Rendering planet...');
+    invalidateMapModes();
+    await renderPlanetTexture();
+    
+    document.getElementById('worldName').textContent = planetData.name;
+    document.getElementById('worldSeed').textContent = terrainMode === 'tectonic' ? `Seed ${seed} · Tectonic` : `Seed ${seed}`;
+    
+    updateEventLog();
+    updateGameUI();
+    setProgress(1, 'Complete!');
     
     document.getElementById('progressUI').classList.add('hidden');
     
@@ -1989,23 +1475,211 @@ document.getElementById('playBtn').addEventListener('click', async () => {
     renderCamera();
     
     // Start simulation
-    gameState.running = true;
+    gameState.running = gameState.speed !== 0;
     startGameLoop();
     
   } catch (err) {
     console.error(err);
     setProgress(0, 'Error: ' + err.message);
   }
+}
+
+function loadSave(save) {
+  document.getElementById('seedInput').value = save.seed;
+  document.getElementById('terrainSelect').value = save.terrainMode;
+  startWorld(save.seed, save.terrainMode, save);
+}
+
+function exportSaveFile() {
+  if (!planetData) return;
+  
+  const save = serializeGame();
+  const blob = new Blob([JSON.stringify(save)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${planetData.name.replace(/\s+/g, '-')}-year-${gameState.year}.orrery.json`;
+  link.click();
+  
+  URL.revokeObjectURL(url);
+}
+
+// Named saves live in IndexedDB, keyed by name
+const SAVE_DB_NAME = 'orrery';
+const SAVE_STORE = 'saves';
+
+function openSaveDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SAVE_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SAVE_STORE, { keyPath: 'name' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function saveStoreRequest(mode, action) {
+  const db = await openSaveDb();
+  
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SAVE_STORE, mode);
+    const request = action(tx.objectStore(SAVE_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+function storeNamedSave(name) {
+  const record = {
+    name,
+    planetName: planetData.name,
+    year: gameState.year,
+    savedAt: Date.now(),
+    data: JSON.parse(JSON.stringify(serializeGame()))
+  };
+  return saveStoreRequest('readwrite', store => store.put(record));
+}
+
+function listNamedSaves() {
+  return saveStoreRequest('readonly', store => store.getAll());
+}
+
+function fetchNamedSave(name) {
+  return saveStoreRequest('readonly', store => store.get(name));
+}
+
+function deleteNamedSave(name) {
+  return saveStoreRequest('readwrite', store => store.delete(name));
+}
+
+async function renderSaveLists() {
+  let saves = [];
+  try {
+    saves = await listNamedSaves();
+  } catch (err) {
+    console.error(err);
+  }
+  
+  saves.sort((a, b) => b.savedAt - a.savedAt);
+  
+  for (const listId of ['menuSaveList', 'settingsSaveList']) {
+    const list = document.getElementById(listId);
+    list.innerHTML = '';
+    
+    if (saves.length === 0) {
+      list.innerHTML = '<div class="save-empty">No saved worlds</div>';
+      continue;
+    }
+    
+    for (const record of saves) {
+      let problem = null;
+      try {
+        validateSave(record.data);
+      } catch (err) {
+        problem = err.message;
+      }
+      
+      const item = document.createElement('div');
+      item.className = problem ? 'save-item incompatible' : 'save-item';
+      
+      const label = document.createElement('div');
+      label.className = 'save-label';
+      label.innerHTML = `
+        <span class="save-name"></span>
+        <span class="save-meta"></span>
+      `;
+      label.querySelector('.save-name').textContent = record.name;
+      const meta = [record.planetName, `Year ${record.year}`, new Date(record.savedAt).toLocaleString()];
+      if (problem) meta.push(problem);
+      label.querySelector('.save-meta').textContent = meta.join(' · ');
+      
+      const loadBtn = document.createElement('button');
+      loadBtn.className = 'save-action';
+      loadBtn.textContent = 'LOAD';
+      loadBtn.disabled = problem !== null;
+      loadBtn.addEventListener('click', async () => {
+        try {
+          const stored = await fetchNamedSave(record.name);
+          if (stored) loadSave(validateSave(stored.data));
+        } catch (err) {
+          console.error(err);
+          alert('Could not load save: ' + err.message);
+        }
+      });
+      
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'save-action';
+      deleteBtn.textContent = '×';
+      deleteBtn.title = 'Delete save';
+      deleteBtn.addEventListener('click', async () => {
+        await deleteNamedSave(record.name);
+        renderSaveLists();
+      });
+      
+      item.append(label, loadBtn, deleteBtn);
+      list.appendChild(item);
+    }
+  }
+}
+
+document.getElementById('loadFileBtn').addEventListener('click', () => {
+  document.getElementById('loadFileInput').click();
+});
+
+document.getElementById('loadFileInput').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  try {
+    loadSave(parseSaveFile(await file.text()));
+  } catch (err) {
+    console.error(err);
+    alert('Could not load save: ' + err.message);
+  }
+});
+
+document.getElementById('saveBtn').addEventListener('click', async () => {
+  if (!planetData) return;
+  
+  const nameInput = document.getElementById('saveNameInput');
+  const name = nameInput.value.trim() || `${planetData.name} - Year ${gameState.year}`;
+  
+  try {
+    await storeNamedSave(name);
+    nameInput.value = '';
+    renderSaveLists();
+  } catch (err) {
+    console.error(err);
+    alert('Could not save: ' + err.message);
+  }
 });
 
+document.getElementById('exportBtn').addEventListener('click', exportSaveFile);
+
+renderSaveLists();
+
 // ============================================
 // GAME LOOP
 // ============================================
 
 let lastTickTime = 0;
+let gameLoopStarted = false;
 
 function startGameLoop() {
   lastTickTime = Date.now();
+  
+  // Loading a save restarts the simulation without spawning a second loop
+  if (gameLoopStarted) return;
+  gameLoopStarted = true;
   requestAnimationFrame(gameLoop);
 }
 
@@ -2013,7 +1687,8 @@ function gameLoop() {
   const now = Date.now();
   const speed = SPEEDS[gameState.speed];
   
-  // Update camera from keyboard
+  // Update camera from keyboard and wheel zoom
+  updateCameraZoom();
   updateCameraFromKeys();
   
   if (speed > 0 && gameState.running) {
@@ -0,0 +1,4076 @@
+// ============================================
+// SIMULATION EVENTS
+// ============================================
+
+// The simulation never touches the DOM. Anything that wants to react to it
+// (the UI, a headless batch run) subscribes here instead.
+const simEvents = {
+  listeners: {},
+  
+  on(type, listener) {
+    if (!this.listeners[type]) this.listeners[type] = [];
+    this.listeners[type].push(listener);
+  },
+  
+  off(type, listener) {
+    const list = this.listeners[type];
+    if (!list) return;
+    const index = list.indexOf(listener);
+    if (index > -1) list.splice(index, 1);
+  },
+  
+  emit(type, payload) {
+    const list = this.listeners[type];
+    if (!list) return;
+    for (const listener of list) listener(payload);
+  }
+};
+
+// ============================================
+// GAME STATE & SIMULATION
+// ============================================
+
+class GameEvent {
+  constructor(year, type, message) {
+    this.year = year;
+    this.type = type; // 'migration', 'settlement', 'war', 'country_formed', etc.
+    this.message = message;
+    this.id = gameState.nextEventId++; // sequential so replays of a seed match
+  }
+}
+
+let gameState = {
+  year: 0,
+  running: false,
+  speed: 2, // 0=pause, 1=slow, 2=normal, 3=fast, 4=ultra
+  tribes: [],
+  countries: [],
+  wars: [],
+  tradeRoutes: [],
+  relations: {}, // 'lowId:highId' -> -100 to 100, see DIPLOMACY
+  cultures: [],
+  settlements: [],
+  epidemics: [], // active ones only
+  landmassNames: {}, // landmass id -> name, see EXPLORATION
+  contacts: [], // 'lowId:highId' landmass pairs whose peoples have met
+  climate: null, // see CLIMATE
+  disasters: [], // recent ones, for the map, see DISASTERS
+  tileEdits: {}, // tile index -> terrain fields changed since generation
+  treaties: [],
+  events: [],
+  nextEventId: 0,
+  nextTribeId: 0,
+  nextCountryId: 0,
+  nextWarId: 0,
+  nextCultureId: 0,
+  nextSettlementId: 0,
+  nextEpidemicId: 0,
+  selectedEntity: null // {type: 'tribe'/'country'/'settlement'/'tile', data: ...}
+};
+
+function logEvent(type, message) {
+  const event = new GameEvent(gameState.year, type, message);
+  gameState.events.unshift(event); // Add to beginning
+  
+  // Keep only last 100 events
+  if (gameState.events.length > 100) {
+    gameState.events.pop();
+  }
+  
+  simEvents.emit('event', event);
+}
+
+class Tribe {
+  constructor(id, x, y, population, rng) {
+    this.id = id;
+    this.x = x; // tile coordinates
+    this.y = y;
+    this.population = population;
+    this.culture = null; // culture id, see CULTURE
+    this.techs = []; // known technology ids, see TECHNOLOGY
+    this.age = 0; // years existed
+    this.settled = false;
+    this.settlementYears = 0; // years spent camped between migrations
+    
+    // Visualization
+    this.color = generateColor(rng);
+    this.territories = []; // Array of {x, y} tile coords
+    
+    // Migration intent, see MIGRATION
+    this.targetX = null;
+    this.targetY = null;
+    this.path = []; // remaining {x, y} steps to the target
+    this.migrationCooldown = 0;
+  }
+}
+
+class Country {
+  constructor(id, name, capitalX, capitalY, color, culture, rng) {
+    this.id = id;
+    this.name = name;
+    this.capitalX = capitalX;
+    this.capitalY = capitalY;
+    this.color = color; // for borders
+    this.population = 0;
+    this.territories = []; // array of {x, y} tile coords
+    this.culture = culture; // primary culture id, see CULTURE
+    this.minorities = []; // other cultures on its land, { culture, share }, largest first
+    this.government = 'chiefdom'; // see GOVERNMENTS
+    this.stability = 0.6; // 0-1
+    this.techs = []; // known technology ids, see TECHNOLOGY
+    this.researching = null; // technology id being worked on
+    this.research = 0; // points put into it so far
+    this.resources = { food: 0, wood: 0, stone: 0, metal: 0 };
+    this.income = { food: 0, wood: 0, stone: 0, metal: 0 }; // last year's production
+    this.army = 0; // raised troops, see ECONOMY
+    this.famine = false;
+    this.leader = generateLeader(culture, rng);
+    this.rulers = []; // past rulers, { name, dynasty, start, end, fate }
+    this.age = 0;
+    this.atWar = false;
+  }
+}
+
+class Leader {
+  constructor(name, traits, age, dynasty) {
+    this.name = name;
+    this.age = age; // 20-40 when they take power, younger for heirs
+    this.traits = traits; // { aggression, diplomacy, ambition, caution }
+    this.dynasty = dynasty; // house name
+    this.yearsInPower = 0;
+  }
+}
+
+function generateColor(rng) {
+  const hue = Math.floor(rng.next() * 360);
+  const sat = Math.floor(rng.range(40, 80));
+  const light = Math.floor(rng.range(35, 60));
+  return `hsl(${hue}, ${sat}%, ${light}%)`;
+}
+
+// A ruler of the given culture. With a parent, generates their heir: same
+// house, similar traits
+function generateLeader(culture, rng, parent = null) {
+  const name = generatePersonName(culture, rng);
+  const epithet = rng.next() > 0.5 ? ' ' + pickRandom(EPITHETS, rng) : '';
+  
+  const trait = key => parent ? parent.traits[key] * 0.6 + rng.next() * 0.4 : rng.next();
+  const traits = {
+    aggression: trait('aggression'),
+    diplomacy: trait('diplomacy'),
+    ambition: trait('ambition'),
+    caution: trait('caution')
+  };
+  
+  const age = parent ?
+    Math.max(1, Math.floor(parent.age - rng.range(18, 35))) :
+    Math.floor(rng.range(20, 40));
+  const dynasty = parent ? parent.dynasty : generateDynastyName(culture, rng);
+  
+  return new Leader(name + epithet, traits, age, dynasty);
+}
+
+// ============================================
+// NAMING
+// ============================================
+
+// Every culture speaks a language of its own: a handful of the sounds and
+// syllable shapes below, from which all of its names are built
+const SOUNDS = {
+  onsets: [
+    'b', 'c', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'm', 'n', 'p', 'r', 's', 't', 'v',
+    'w', 'z', 'th', 'sh', 'ch', 'kh', 'br', 'dr', 'gr', 'kr', 'tr', 'st', 'sk', 'zh', 'qu', 'y'
+  ],
+  vowels: ['a', 'e', 'i', 'o', 'u', 'y'],
+  diphthongs: ['ae', 'ai', 'au', 'ei', 'ia', 'ou', 'ee', 'oo'],
+  codas: ['n', 'r', 'l', 's', 'm', 'k', 't', 'th', 'sh', 'nd', 'rn', 'rk', 'x', 'ng', 'st', 'rd'],
+  shapes: ['CVC', 'V', 'VC'] // every language also has plain CV
+};
+
+const EPITHETS = [
+  'the Bold', 'the Wise', 'the Great', 'the Fierce', 'the Just', 'the Cunning', 'the Strong', 'the Fair',
+  'the Brave', 'the Terrible', 'the Magnificent', 'the Glorious', 'the Righteous', 'the Ruthless',
+  'the Merciful', 'the Conqueror', 'the Defender', 'the Liberator', 'the Unifier', 'the Lawgiver',
+  'the Pious', 'the Scholar', 'the Warrior', 'the Diplomat', 'the Builder', 'the Reformer',
+  'the Elder', 'the Younger', 'the First', 'the Second', 'the Third', 'the Last',
+  'the Red', 'the White', 'the Black', 'the Golden', 'the Silver', 'the Iron',
+  'the Silent', 'the Eloquent', 'the Swift', 'the Patient', 'the Vengeful', 'the Forgiving',
+  'Ironside', 'Bloodaxe', 'Dragonheart', 'Lionheart', 'Stormborn', 'Frostbeard',
+  'the Undying', 'the Eternal', 'the Faithful', 'the Apostate', 'the Martyr', 'the Saint'
+];
+
+const COUNTRY_PREFIXES = ['Northern', 'Southern', 'Eastern', 'Western', 'Grand', 'Holy', 'United', 'Old'];
+
+function pickRandom(list, rng) {
+  return list[Math.floor(rng.next() * list.length)];
+}
+
+// `count` different entries of the list, in random order
+function sampleSounds(list, count, rng) {
+  const pool = [...list];
+  const picked = [];
+  while (picked.length < count && pool.length > 0) {
+    picked.push(pool.splice(Math.floor(rng.next() * pool.length), 1)[0]);
+  }
+  return picked;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function generatePhonology(rng) {
+  const phonology = {
+    onsets: sampleSounds(SOUNDS.onsets, Math.floor(rng.range(6, 12)), rng),
+    vowels: [
+      ...sampleSounds(SOUNDS.vowels, Math.floor(rng.range(3, 5)), rng),
+      ...sampleSounds(SOUNDS.diphthongs, Math.floor(rng.range(0, 2)), rng)
+    ],
+    // Some languages never close a syllable
+    codas: rng.next() < 0.2 ? [] : sampleSounds(SOUNDS.codas, Math.floor(rng.range(2, 7)), rng),
+    shapes: ['CV', ...sampleSounds(SOUNDS.shapes, Math.floor(rng.range(1, 3)), rng)],
+    maxSyllables: rng.next() < 0.5 ? 2 : 3,
+    shifts: [] // sound changes since the parent language, [from, to]
+  };
+  
+  phonology.placeEndings = [makeEnding(phonology, rng), makeEnding(phonology, rng)];
+  phonology.dynastyEnding = makeEnding(phonology, rng);
+  return phonology;
+}
+
+// A daughter language swaps a few of its parent's sounds for new ones. Old
+// words pass through the same changes, so related peoples keep related names.
+function derivePhonology(parent, rng) {
+  const phonology = {
+    onsets: [...parent.onsets],
+    vowels: [...parent.vowels],
+    codas: [...parent.codas],
+    shapes: [...parent.shapes],
+    maxSyllables: parent.maxSyllables,
+    shifts: []
+  };
+  
+  const changes = Math.floor(rng.range(1, 3));
+  for (let i = 0; i < changes; i++) {
+    const kind = pickRandom(phonology.codas.length > 0 ? ['onsets', 'vowels', 'codas'] : ['onsets', 'vowels'], rng);
+    const sounds = phonology[kind];
+    const inventory = kind === 'vowels' ? [...SOUNDS.vowels, ...SOUNDS.diphthongs] : SOUNDS[kind];
+    const replacement = pickRandom(inventory.filter(s => !sounds.includes(s)), rng);
+    if (!replacement) continue;
+    
+    const index = Math.floor(rng.next() * sounds.length);
+    phonology.shifts.push([sounds[index], replacement]);
+    sounds[index] = replacement;
+  }
+  
+  phonology.placeEndings = parent.placeEndings.map(e => applySoundShifts(e, phonology.shifts));
+  phonology.dynastyEnding = applySoundShifts(parent.dynastyEnding, phonology.shifts);
+  return phonology;
+}
+
+function applySoundShifts(word, shifts) {
+  let shifted = word.toLowerCase();
+  for (const [from, to] of shifts) {
+    shifted = shifted.split(from).join(to);
+  }
+  return shifted;
+}
+
+// Clusters like 'nd' only close the last syllable, so 'ndtr' never comes up
+function makeSyllable(phonology, shape, rng, final = true) {
+  const codas = final ? phonology.codas : phonology.codas.filter(c => c.length === 1);
+  let syllable = '';
+  for (let i = 0; i < shape.length; i++) {
+    if (shape[i] === 'V') {
+      syllable += pickRandom(phonology.vowels, rng);
+    } else if (i === 0) {
+      syllable += pickRandom(phonology.onsets, rng);
+    } else if (codas.length > 0) {
+      syllable += pickRandom(codas, rng);
+    }
+  }
+  return syllable;
+}
+
+function endsWithVowel(word) {
+  return 'aeiouy'.includes(word.charAt(word.length - 1));
+}
+
+// Endings start on a vowel, which replaces any the word ends in
+function addEnding(word, ending) {
+  let stem = word;
+  while (stem.length > 2 && endsWithVowel(stem)) stem = stem.slice(0, -1);
+  return stem + ending;
+}
+
+// A vowel-initial syllable to hang off the end of a word
+function makeEnding(phonology, rng) {
+  return makeSyllable(phonology, rng.next() < 0.5 ? 'V' : 'VC', rng);
+}
+
+function makeWord(phonology, rng, syllables = Math.floor(rng.range(1, phonology.maxSyllables + 1))) {
+  let word = '';
+  for (let i = 0; i < syllables; i++) {
+    let shape = pickRandom(phonology.shapes, rng);
+    // Most words start on a consonant, all one-syllable ones do, and vowels of
+    // neighboring syllables never run together
+    const needsOnset = i === 0 ? syllables === 1 || rng.next() < 0.6 : endsWithVowel(word);
+    if (shape[0] === 'V' && needsOnset) shape = 'C' + shape;
+    word += makeSyllable(phonology, shape, rng, i === syllables - 1);
+  }
+  return capitalize(word);
+}
+
+function languageOf(culture) {
+  return getCulture(culture).phonology;
+}
+
+function generateCultureName(phonology, rng) {
+  return makeWord(phonology, rng, 2);
+}
+
+// The parent's name as the daughter language says it, with a new ending
+function deriveCultureName(parentName, phonology, rng) {
+  const shifted = applySoundShifts(parentName, phonology.shifts);
+  const stem = shifted.slice(0, Math.max(3, shifted.length - 2));
+  let name = capitalize(addEnding(stem, makeEnding(phonology, rng)));
+  if (name === parentName) name += pickRandom(phonology.vowels, rng);
+  return name;
+}
+
+function generatePersonName(culture, rng) {
+  const phonology = languageOf(culture);
+  return makeWord(phonology, rng, Math.floor(rng.range(2, phonology.maxSyllables + 1)));
+}
+
+function generateDynastyName(culture, rng) {
+  const phonology = languageOf(culture);
+  return addEnding(makeWord(phonology, rng, Math.floor(rng.range(1, 3))), phonology.dynastyEnding);
+}
+
+function generatePlaceName(culture, rng) {
+  const phonology = languageOf(culture);
+  return addEnding(makeWord(phonology, rng), pickRandom(phonology.placeEndings, rng));
+}
+
+// Named for its people or its homeland and ending in its form of government,
+// see retitleCountry
+function generateCountryName(culture, government, rng) {
+  const base = rng.next() < 0.6 ? cultureName(culture) : generatePlaceName(culture, rng);
+  const title = GOVERNMENTS[government].title;
+  
+  if (rng.next() > 0.7) {
+    return `${pickRandom(COUNTRY_PREFIXES, rng)} ${base} ${title}`;
+  }
+  return `${base} ${title}`;
+}
+
+// ============================================
+// TERRITORY OWNERSHIP
+// ============================================
+
+// Who owns each tile, as an owner key: country id + 1 for countries, -(tribe id + 1)
+// for tribes and 0 for unclaimed land. This grid is the single source of truth;
+// the territories list on each tribe and country mirrors it for iteration and
+// must only be changed through the functions below, which also keep each
+// owner's population total in step with its land.
+const tileOwners = new Int32Array(TILE_WIDTH * TILE_HEIGHT);
+const ownerEntities = new Map(); // owner key -> tribe or country
+
+function ownerKey(entity) {
+  return entity instanceof Country ? entity.id + 1 : -(entity.id + 1);
+}
+
+function tileIndex(x, y) {
+  return y * TILE_WIDTH + x;
+}
+
+// Orthogonal neighbors, wrapping east-west and stopping at the poles
+function tileNeighbors(x, y) {
+  const neighbors = [
+    { x: (x - 1 + TILE_WIDTH) % TILE_WIDTH, y },
+    { x: (x + 1) % TILE_WIDTH, y }
+  ];
+  if (y > 0) neighbors.push({ x, y: y - 1 });
+  if (y < TILE_HEIGHT - 1) neighbors.push({ x, y: y + 1 });
+  return neighbors;
+}
+
+function resetOwnership() {
+  tileOwners.fill(0);
+  tilePopulation.fill(0);
+  ownerEntities.clear();
+}
+
+// Rebuilds the grid from the entities' territory lists, e.g. after loading a save
+function rebuildOwnership() {
+  resetOwnership();
+  
+  for (const entity of [...gameState.tribes, ...gameState.countries]) {
+    const key = ownerKey(entity);
+    ownerEntities.set(key, entity);
+    for (const terr of entity.territories) {
+      tileOwners[tileIndex(terr.x, terr.y)] = key;
+    }
+  }
+}
+
+function addTribe(tribe) {
+  gameState.tribes.push(tribe);
+  ownerEntities.set(ownerKey(tribe), tribe);
+}
+
+function removeTribe(tribe) {
+  releaseAllTiles(tribe);
+  ownerEntities.delete(ownerKey(tribe));
+  const index = gameState.tribes.indexOf(tribe);
+  if (index > -1) gameState.tribes.splice(index, 1);
+}
+
+function addCountry(country) {
+  gameState.countries.push(country);
+  ownerEntities.set(ownerKey(country), country);
+}
+
+function removeCountry(country) {
+  releaseAllTiles(country);
+  ownerEntities.delete(ownerKey(country));
+  const index = gameState.countries.indexOf(country);
+  if (index > -1) gameState.countries.splice(index, 1);
+}
+
+function getTileOwner(x, y) {
+  const key = tileOwners[tileIndex(x, y)];
+  return key === 0 ? null : ownerEntities.get(key);
+}
+
+function ownsTile(entity, x, y) {
+  return tileOwners[tileIndex(x, y)] === ownerKey(entity);
+}
+
+function isBorderTile(entity, x, y) {
+  return tileNeighbors(x, y).some(n => !ownsTile(entity, n.x, n.y));
+}
+
+// Every other tribe or country whose land touches this entity's
+function getNeighborEntities(entity) {
+  const neighbors = new Set();
+  for (const terr of entity.territories) {
+    for (const n of tileNeighbors(terr.x, terr.y)) {
+      const owner = getTileOwner(n.x, n.y);
+      if (owner && owner !== entity) neighbors.add(owner);
+    }
+  }
+  return [...neighbors];
+}
+
+// Claims an unowned tile. Returns false if someone already holds it.
+function claimTile(entity, x, y) {
+  const i = tileIndex(x, y);
+  if (tileOwners[i] !== 0) return false;
+  
+  tileOwners[i] = ownerKey(entity);
+  settleTile(x, y, entity.culture);
+  entity.territories.push({ x, y });
+  return true;
+}
+
+function removeFromTerritories(entity, x, y) {
+  const index = entity.territories.findIndex(t => t.x === x && t.y === y);
+  if (index > -1) entity.territories.splice(index, 1);
+}
+
+function releaseTile(entity, x, y) {
+  if (!ownsTile(entity, x, y)) return false;
+  
+  tileOwners[tileIndex(x, y)] = 0;
+  tilePopulation[tileIndex(x, y)] = 0; // Abandoned land has no people left
+  clearTileCulture(x, y);
+  abandonSettlement(x, y);
+  removeFromTerritories(entity, x, y);
+  entity.population = sumPopulation(entity);
+  return true;
+}
+
+// Moves a tile between owners. Returns false if `from` no longer holds it.
+function transferTile(from, to, x, y) {
+  if (!ownsTile(from, x, y)) return false;
+  
+  removeFromTerritories(from, x, y);
+  tileOwners[tileIndex(x, y)] = ownerKey(to);
+  to.territories.push({ x, y });
+  from.population = sumPopulation(from);
+  to.population = sumPopulation(to);
+  return true;
+}
+
+function transferAllTiles(from, to) {
+  const key = ownerKey(to);
+  for (const terr of from.territories) {
+    tileOwners[tileIndex(terr.x, terr.y)] = key;
+    to.territories.push(terr);
+  }
+  from.territories = [];
+  from.population = 0;
+  to.population = sumPopulation(to);
+}
+
+function releaseAllTiles(entity) {
+  for (const terr of entity.territories) {
+    tileOwners[tileIndex(terr.x, terr.y)] = 0;
+    tilePopulation[tileIndex(terr.x, terr.y)] = 0;
+    clearTileCulture(terr.x, terr.y);
+    abandonSettlement(terr.x, terr.y);
+  }
+  entity.territories = [];
+}
+
+// ============================================
+// CULTURE
+// ============================================
+
+class Culture {
+  constructor(id, name, parent, x, y, year, traits, phonology) {
+    this.id = id;
+    this.name = name;
+    this.phonology = phonology; // sounds its names are built from, see NAMING
+    this.parent = parent; // id of the culture it grew out of, or null
+    this.originX = x; // homeland tile
+    this.originY = y;
+    this.founded = year;
+    this.traits = traits; // { martial, mercantile, openness }, 0-1
+  }
+}
+
+const CULTURE = {
+  updateYears: 5, // how often tile mixes spread and assimilate
+  spread: 0.1, // pull of the neighboring tiles' mix per update
+  assimilation: 0.04, // pull of the owner's culture per update, near its capital
+  minShare: 0.05, // smaller shares die out
+  maxPerTile: 3, // most cultures kept on one tile
+  divergenceYears: 50, // how often isolated groups may drift apart
+  isolationDistance: 30, // tiles from kin or homeland before a group counts as isolated
+  minAge: 200, // years a culture lasts before it can split
+  divergenceChance: 0.2,
+  adoptionRatio: 1.5 // a country adopts a minority culture that outnumbers its own this much
+};
+
+const cultureRegistry = new Map(); // id -> Culture
+
+// Mix of peoples living on each tile, as [cultureId, share] pairs sorted by
+// share (so the first is the dominant culture) and summing to 1; null where
+// nobody lives
+const tileCultureShares = new Array(TILE_WIDTH * TILE_HEIGHT).fill(null);
+
+function createCulture(parent, x, y, rng) {
+  const trait = key => parent ?
+    Math.max(0, Math.min(1, parent.traits[key] + rng.range(-0.15, 0.15))) :
+    rng.next();
+  const traits = {
+    martial: trait('martial'),
+    mercantile: trait('mercantile'),
+    openness: trait('openness')
+  };
+  
+  const phonology = parent ? derivePhonology(parent.phonology, rng) : generatePhonology(rng);
+  const name = parent ?
+    deriveCultureName(parent.name, phonology, rng) :
+    generateCultureName(phonology, rng);
+  
+  const culture = new Culture(gameState.nextCultureId++, name, parent ? parent.id : null, x, y, gameState.year, traits, phonology);
+  gameState.cultures.push(culture);
+  cultureRegistry.set(culture.id, culture);
+  return culture;
+}
+
+function getCulture(id) {
+  return cultureRegistry.get(id);
+}
+
+function cultureName(id) {
+  const culture = cultureRegistry.get(id);
+  return culture ? culture.name : 'Unknown';
+}
+
+function resetCultures() {
+  cultureRegistry.clear();
+  tileCultureShares.fill(null);
+}
+
+function rebuildCultureRegistry() {
+  cultureRegistry.clear();
+  for (const culture of gameState.cultures) {
+    cultureRegistry.set(culture.id, culture);
+  }
+}
+
+// 1 for the same culture, 0.5 for a parent and daughter or two sisters
+function culturalAffinity(a, b) {
+  if (a === b) return 1;
+  const ca = getCulture(a);
+  const cb = getCulture(b);
+  if (!ca || !cb) return 0;
+  if (ca.parent === cb.id || cb.parent === ca.id) return 0.5;
+  if (ca.parent !== null && ca.parent === cb.parent) return 0.5;
+  return 0;
+}
+
+// New settlers fill empty land with their own people
+function settleTile(x, y, culture) {
+  const i = tileIndex(x, y);
+  if (!tileCultureShares[i] && culture !== null) tileCultureShares[i] = [[culture, 1]];
+}
+
+function clearTileCulture(x, y) {
+  tileCultureShares[tileIndex(x, y)] = null;
+}
+
+function dominantCulture(x, y) {
+  const mix = tileCultureShares[tileIndex(x, y)];
+  return mix ? mix[0][0] : null;
+}
+
+// Share of each culture across the country's land, largest first
+function countryCultures(country) {
+  const totals = new Map();
+  for (const terr of country.territories) {
+    const mix = tileCultureShares[tileIndex(terr.x, terr.y)];
+    if (!mix) continue;
+    for (const [culture, share] of mix) totals.set(culture, (totals.get(culture) || 0) + share);
+  }
+  
+  const tiles = Math.max(1, country.territories.length);
+  return [...totals]
+    .map(([culture, total]) => ({ culture, share: total / tiles }))
+    .sort((a, b) => b.share - a.share);
+}
+
+function normalizeMix(shares) {
+  let total = 0;
+  for (const share of shares.values()) total += share;
+  
+  let mix = [...shares]
+    .map(([culture, share]) => [culture, share / total])
+    .filter(([, share]) => share >= CULTURE.minShare)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, CULTURE.maxPerTile);
+  
+  const kept = mix.reduce((sum, [, share]) => sum + share, 0);
+  mix = mix.map(([culture, share]) => [culture, share / kept]);
+  return mix;
+}
+
+// Every tile's mix blends toward its neighbors' and toward its owner's culture.
+// Assimilation is strongest near a country's capital, and open peoples give
+// way faster than insular ones.
+function updateCultureShares() {
+  const next = new Map();
+  
+  for (const entity of [...gameState.tribes, ...gameState.countries]) {
+    const isCountry = entity instanceof Country;
+    const reach = isCountry ? ADMIN_REACH + entity.techs.length * ADMIN_REACH_PER_TECH : 1;
+    
+    for (const terr of entity.territories) {
+      const i = tileIndex(terr.x, terr.y);
+      const mix = tileCultureShares[i];
+      if (!mix) continue;
+      
+      const shares = new Map(mix);
+      for (const n of tileNeighbors(terr.x, terr.y)) {
+        const neighborMix = tileCultureShares[tileIndex(n.x, n.y)];
+        if (!neighborMix) continue;
+        for (const [culture, share] of neighborMix) {
+          shares.set(culture, (shares.get(culture) || 0) + share * CULTURE.spread / 4);
+        }
+      }
+      
+      const proximity = isCountry ? Math.max(0.2, 1 - capitalDistance(entity, terr.x, terr.y) / (reach * 2)) : 1;
+      const locals = getCulture(mix[0][0]);
+      const resistance = locals ? 0.5 + locals.traits.openness : 1;
+      shares.set(entity.culture, (shares.get(entity.culture) || 0) + CULTURE.assimilation * proximity * resistance);
+      
+      next.set(i, normalizeMix(shares));
+    }
+  }
+  
+  for (const [i, mix] of next) {
+    tileCultureShares[i] = mix;
+  }
+}
+
+// A country whose land has come to be dominated by another people takes on
+// their culture; everyone else records its minorities
+function updateCountryCultures() {
+  for (const country of gameState.countries) {
+    const cultures = countryCultures(country);
+    const own = cultures.find(c => c.culture === country.culture);
+    const largest = cultures[0];
+    
+    if (largest && largest.culture !== country.culture &&
+        largest.share >= (own ? own.share : 0) * CULTURE.adoptionRatio) {
+      logEvent('culture', `${country.name} adopted the ${cultureName(largest.culture)} culture of its people.`);
+      country.culture = largest.culture;
+    }
+    
+    country.minorities = cultures
+      .filter(c => c.culture !== country.culture && c.share >= 0.01)
+      .slice(0, 5);
+  }
+}
+
+// Groups cut off from their kin, or far from their homeland, drift into a
+// daughter culture that takes over their land's share of the parent
+function checkCulturalDivergence() {
+  const groups = new Map(); // culture id -> [{ entity, x, y }]
+  for (const tribe of gameState.tribes) {
+    if (!groups.has(tribe.culture)) groups.set(tribe.culture, []);
+    groups.get(tribe.culture).push({ entity: tribe, x: tribe.x, y: tribe.y });
+  }
+  for (const country of gameState.countries) {
+    if (!groups.has(country.culture)) groups.set(country.culture, []);
+    groups.get(country.culture).push({ entity: country, x: country.capitalX, y: country.capitalY });
+  }
+  
+  const distance = (ax, ay, bx, by) => {
+    const dx = Math.abs(ax - bx);
+    return Math.min(dx, TILE_WIDTH - dx) + Math.abs(ay - by);
+  };
+  
+  for (const [id, members] of groups) {
+    const parent = getCulture(id);
+    if (!parent || gameState.year - parent.founded < CULTURE.minAge) continue;
+    
+    for (const member of members) {
+      const farFromHome = distance(member.x, member.y, parent.originX, parent.originY) > CULTURE.isolationDistance;
+      const cutOff = members.length > 1 && members.every(other => other === member ||
+        distance(member.x, member.y, other.x, other.y) > CULTURE.isolationDistance);
+      if (!farFromHome && !cutOff) continue;
+      if (worldRng.next() >= CULTURE.divergenceChance) continue;
+      
+      const daughter = createCulture(parent, member.x, member.y, worldRng);
+      member.entity.culture = daughter.id;
+      
+      for (const terr of member.entity.territories) {
+        const mix = tileCultureShares[tileIndex(terr.x, terr.y)];
+        if (!mix) continue;
+        for (const pair of mix) {
+          if (pair[0] === parent.id) pair[0] = daughter.id;
+        }
+      }
+      
+      const group = member.entity instanceof Country ? `The people of ${member.entity.name} have` : `A ${parent.name} tribe has`;
+      logEvent('culture', `${group} grown apart from their kin into the ${daughter.name}.`);
+      break; // One split per culture per check
+    }
+  }
+}
+
+function updateCultures() {
+  if (gameState.year % CULTURE.updateYears === 0) {
+    updateCultureShares();
+    updateCountryCultures();
+  }
+  if (gameState.year % CULTURE.divergenceYears === 0) {
+    checkCulturalDivergence();
+  }
+}
+
+// ============================================
+// SETTLEMENTS
+// ============================================
+
+class Settlement {
+  constructor(id, name, x, y, culture, year) {
+    this.id = id;
+    this.name = name;
+    this.x = x; // belongs to whoever owns this tile, and its people live there
+    this.y = y;
+    this.culture = culture; // of its founders
+    this.founded = year;
+    this.size = 'village'; // largest reached so far, see SETTLEMENT_SIZES
+  }
+}
+
+// Smallest population of each size, largest first
+const SETTLEMENT_SIZES = [
+  { id: 'metropolis', name: 'Metropolis', population: 4000 },
+  { id: 'city', name: 'City', population: 1500 },
+  { id: 'town', name: 'Town', population: 600 },
+  { id: 'village', name: 'Village', population: 0 }
+];
+
+const SETTLEMENT = {
+  capacity: 800, // people a site scoring 1 supports on top of its countryside
+  capitalCapacity: 2, // times as many at the seat of government
+  tradeCapacity: 0.1, // more per trade route of the owner
+  sackLoss: 0.15, // when an enemy army takes it
+  foundYears: 10, // how often a country may found a new village
+  foundChance: 0.3,
+  minSite: 0.5, // worst site a new village is founded on
+  spacing: 4 // fewest tiles between two settlements
+};
+
+const tileSettlements = new Map(); // tile index -> Settlement
+
+function settlementAt(x, y) {
+  return tileSettlements.get(tileIndex(x, y)) || null;
+}
+
+function settlementPopulation(settlement) {
+  return tilePopulation[tileIndex(settlement.x, settlement.y)];
+}
+
+function settlementSize(settlement) {
+  return SETTLEMENT_SIZES.find(size => settlementPopulation(settlement) >= size.population);
+}
+
+function settlementOwner(settlement) {
+  return getTileOwner(settlement.x, settlement.y);
+}
+
+// Settlements of an entity, largest first
+function settlementsOf(entity) {
+  return entity.territories
+    .map(terr => settlementAt(terr.x, terr.y))
+    .filter(Boolean)
+    .sort((a, b) => settlementPopulation(b) - settlementPopulation(a));
+}
+
+function capitalSettlement(country) {
+  return settlementAt(country.capitalX, country.capitalY);
+}
+
+// Fertile land, fresh water and a harbor make a good place for a town
+function settlementSite(tile) {
+  let score = tile.foodPotential;
+  if (tile.riverPresence === 'major') score += 0.5;
+  else if (tile.riverPresence === 'minor') score += 0.25;
+  if (tile.distanceToCoast < 2) score += 0.3;
+  return score;
+}
+
+// Extra people its tile supports
+function settlementCapacity(settlement, owner, tile) {
+  let capacity = settlementSite(tile) * SETTLEMENT.capacity * (1 + techEffect(owner, 'growth'));
+  
+  if (owner instanceof Country) {
+    if (isCapital(owner, settlement.x, settlement.y)) capacity *= SETTLEMENT.capitalCapacity;
+    const routes = gameState.tradeRoutes.filter(r => r.a === owner.id || r.b === owner.id).length;
+    capacity *= 1 + routes * SETTLEMENT.tradeCapacity;
+  }
+  return capacity;
+}
+
+function isNearSettlement(x, y) {
+  for (const settlement of gameState.settlements) {
+    const dx = Math.abs(settlement.x - x);
+    const distance = Math.max(Math.min(dx, TILE_WIDTH - dx), Math.abs(settlement.y - y));
+    if (distance < SETTLEMENT.spacing) return true;
+  }
+  return false;
+}
+
+function foundSettlement(x, y, culture, rng) {
+  const taken = name => gameState.settlements.some(s => s.name === name);
+  let name = generatePlaceName(culture, rng);
+  for (let i = 0; i < 5 && taken(name); i++) {
+    name = generatePlaceName(culture, rng);
+  }
+  
+  const settlement = new Settlement(gameState.nextSettlementId++, name, x, y, culture, gameState.year);
+  gameState.settlements.push(settlement);
+  tileSettlements.set(tileIndex(x, y), settlement);
+  return settlement;
+}
+
+// Land nobody holds has nobody left to live in its towns
+function abandonSettlement(x, y) {
+  const settlement = settlementAt(x, y);
+  if (!settlement) return;
+  
+  tileSettlements.delete(tileIndex(x, y));
+  gameState.settlements.splice(gameState.settlements.indexOf(settlement), 1);
+}
+
+function rebuildSettlementIndex() {
+  tileSettlements.clear();
+  for (const settlement of gameState.settlements) {
+    tileSettlements.set(tileIndex(settlement.x, settlement.y), settlement);
+  }
+}
+
+// Plunder by an occupying army
+function sackSettlement(x, y) {
+  if (settlementAt(x, y)) scaleTilePopulation(x, y, 1 - SETTLEMENT.sackLoss);
+}
+
+// A town or larger changing hands at the peace table is worth a mention
+function captureSettlement(x, y, from, to) {
+  const settlement = settlementAt(x, y);
+  if (!settlement || settlementSize(settlement).id === 'village') return;
+  logEvent('conquest', `${to.name} took the ${settlementSize(settlement).name.toLowerCase()} of ${settlement.name} from ${from.name}.`);
+}
+
+// The best open site in a country's land, or null
+function chooseSettlementSite(country, tiles) {
+  let best = null;
+  let bestScore = SETTLEMENT.minSite;
+  
+  for (const terr of country.territories) {
+    const tile = getTileAt(tiles, terr.x, terr.y);
+    const score = settlementSite(tile);
+    if (score > bestScore && !isNearSettlement(terr.x, terr.y)) {
+      bestScore = score;
+      best = terr;
+    }
+  }
+  return best;
+}
+
+// Notes towns growing into cities; countries found villages on open land
+function updateSettlements(tiles) {
+  for (const settlement of gameState.settlements) {
+    const size = settlementSize(settlement);
+    if (size.id === settlement.size) continue;
+    
+    const grew = size.population > SETTLEMENT_SIZES.find(s => s.id === settlement.size).population;
+    const owner = settlementOwner(settlement);
+    if (grew && owner instanceof Country && size.population >= 1500) {
+      logEvent('settlement', `${settlement.name} in ${owner.name} has grown into a ${size.name.toLowerCase()}.`);
+    }
+    settlement.size = size.id;
+  }
+  
+  for (const country of gameState.countries) {
+    if (country.age % SETTLEMENT.foundYears !== 0 || worldRng.next() >= SETTLEMENT.foundChance) continue;
+    
+    const site = chooseSettlementSite(country, tiles);
+    if (site) foundSettlement(site.x, site.y, country.culture, worldRng);
+  }
+}
+
+// ============================================
+// POPULATION
+// ============================================
+
+// People live on tiles. A tribe's or country's population is the sum over its
+// land, refreshed each year by growPopulation and whenever land or people are
+// lost in between.
+const tilePopulation = new Float32Array(TILE_WIDTH * TILE_HEIGHT);
+
+const POPULATION = {
+  capacity: 1500, // people per unit of a tile's populationCapacity
+  growth: 0.03, // yearly, on a thinly settled tile
+  disease: 0.02, // yearly deaths per unit of diseaseRisk on a full tile
+  famineLoss: 0.05, // yearly, while the owner starves
+  battleLoss: 0.05, // civilians lost on a tile fought over
+  conquestLoss: 0.5, // of a tribe overrun by another
+  migration: 0.1, // share of the difference in crowding that moves to a neighbor yearly
+  seed: 5 // newly claimed land draws a few settlers from nowhere
+};
+
+function tileCapacity(tile, owner, growthBonus = techEffect(owner, 'growth')) {
+  let capacity = tile.populationCapacity * POPULATION.capacity * (1 + growthBonus);
+  const settlement = settlementAt(tile.x, tile.y);
+  if (settlement) capacity += settlementCapacity(settlement, owner, tile);
+  return Math.max(1, capacity);
+}
+
+function entityCapacity(entity, tiles) {
+  const growthBonus = techEffect(entity, 'growth');
+  return entity.territories.reduce((sum, terr) => sum + tileCapacity(getTileAt(tiles, terr.x, terr.y), entity, growthBonus), 0);
+}
+
+function sumPopulation(entity) {
+  let total = 0;
+  for (const terr of entity.territories) {
+    total += tilePopulation[tileIndex(terr.x, terr.y)];
+  }
+  return Math.floor(total);
+}
+
+function scaleTilePopulation(x, y, factor) {
+  tilePopulation[tileIndex(x, y)] *= factor;
+  
+  const owner = getTileOwner(x, y);
+  if (owner) owner.population = sumPopulation(owner);
+}
+
+// Removes people evenly from all of the entity's land
+function killPopulation(entity, count) {
+  const total = sumPopulation(entity);
+  if (total <= 0) return;
+  
+  const survivors = 1 - Math.min(1, count / total);
+  for (const terr of entity.territories) {
+    tilePopulation[tileIndex(terr.x, terr.y)] *= survivors;
+  }
+  entity.population = sumPopulation(entity);
+}
+
+// Logistic growth toward each tile's capacity, endemic disease that worsens
+// with crowding, famine deaths, and people moving on to emptier land nearby
+function growPopulation(entity, tiles) {
+  const growthBonus = techEffect(entity, 'growth');
+  const capacities = new Map(); // tile index -> capacity
+  
+  for (const terr of entity.territories) {
+    const i = tileIndex(terr.x, terr.y);
+    const tile = getTileAt(tiles, terr.x, terr.y);
+    const capacity = tileCapacity(tile, entity, growthBonus);
+    capacities.set(i, capacity);
+    
+    let pop = Math.max(tilePopulation[i], POPULATION.seed);
+    const crowding = pop / capacity;
+    pop += pop * POPULATION.growth * (1 - crowding);
+    pop -= pop * tile.diseaseRisk * POPULATION.disease * Math.min(1, crowding);
+    if (entity.famine) pop *= 1 - POPULATION.famineLoss;
+    tilePopulation[i] = Math.max(0, pop);
+  }
+  
+  // Each pair of neighbors is settled once, from the more crowded side
+  for (const terr of entity.territories) {
+    const i = tileIndex(terr.x, terr.y);
+    const capacity = capacities.get(i);
+    
+    for (const n of tileNeighbors(terr.x, terr.y)) {
+      const j = tileIndex(n.x, n.y);
+      if (!capacities.has(j)) continue;
+      
+      const gap = tilePopulation[i] / capacity - tilePopulation[j] / capacities.get(j);
+      if (gap <= 0) continue;
+      
+      const movers = gap * POPULATION.migration * Math.min(capacity, capacities.get(j)) / 2;
+      tilePopulation[i] -= movers;
+      tilePopulation[j] += movers;
+    }
+  }
+  
+  entity.population = sumPopulation(entity);
+}
+
+// [tile index, people] for every inhabited tile
+function serializeTilePopulation() {
+  const tiles = [];
+  tilePopulation.forEach((pop, i) => {
+    if (pop > 0) tiles.push([i, pop]);
+  });
+  return tiles;
+}
+
+// ============================================
+// EPIDEMICS
+// ============================================
+
+class Epidemic {
+  constructor(id, name, x, y, year, virulence, lethality) {
+    this.id = id;
+    this.name = name;
+    this.originX = x;
+    this.originY = y;
+    this.start = year;
+    this.virulence = virulence; // 0-1, how readily it jumps to the next tile
+    this.lethality = lethality; // yearly share of a crowded tile's people it kills
+    this.infected = []; // { i: tile index, years: left until the tile recovers }
+    this.recovered = []; // tile indices whose survivors are immune
+    this.reached = []; // owner keys of those it has struck, see ownerKey
+    this.deaths = 0;
+  }
+}
+
+const EPIDEMIC = {
+  outbreakChance: 0.04, // yearly chance a new disease emerges somewhere
+  outbreakTries: 20, // tiles sampled for a crowded, disease-prone place to start
+  tradeSpread: 0.3, // times virulence, yearly chance per trade route out of a sick country
+  minYears: 2, // how long a tile stays sick
+  maxYears: 5
+};
+
+const DISEASE_NAMES = ['Plague', 'Fever', 'Pox', 'Flux', 'Cough', 'Sweat', 'Blight', 'Ague'];
+
+const tileInfections = new Map(); // tile index -> Epidemic
+
+function rebuildInfectionIndex() {
+  tileInfections.clear();
+  for (const epidemic of gameState.epidemics) {
+    for (const { i } of epidemic.infected) tileInfections.set(i, epidemic);
+  }
+}
+
+function describeOwner(owner) {
+  return owner instanceof Country ? owner.name : `the ${cultureName(owner.culture)} tribe`;
+}
+
+// Returns false if the tile is empty, already sick, or immune to this disease
+function infectTile(epidemic, i, recovered) {
+  if (tileInfections.has(i) || tilePopulation[i] <= 0 || recovered.has(i)) return false;
+  
+  epidemic.infected.push({ i, years: Math.floor(worldRng.range(EPIDEMIC.minYears, EPIDEMIC.maxYears + 1)) });
+  tileInfections.set(i, epidemic);
+  
+  const owner = ownerEntities.get(tileOwners[i]);
+  if (owner && !epidemic.reached.includes(tileOwners[i])) {
+    epidemic.reached.push(tileOwners[i]);
+    if (owner instanceof Country) logEvent('epidemic', `The ${epidemic.name} has reached ${owner.name}.`);
+  }
+  return true;
+}
+
+// A tribe on the move takes its sickness along
+function carryInfection(fromIndex, toIndex) {
+  const epidemic = tileInfections.get(fromIndex);
+  if (epidemic) infectTile(epidemic, toIndex, new Set(epidemic.recovered));
+}
+
+// New diseases emerge where people crowd together on disease-prone land
+function startEpidemic(tiles) {
+  const owners = [...gameState.tribes, ...gameState.countries];
+  if (owners.length === 0) return;
+  
+  for (let t = 0; t < EPIDEMIC.outbreakTries; t++) {
+    const owner = owners[Math.floor(worldRng.next() * owners.length)];
+    const terr = owner.territories[Math.floor(worldRng.next() * owner.territories.length)];
+    if (!terr) continue;
+    
+    const i = tileIndex(terr.x, terr.y);
+    const tile = getTileAt(tiles, terr.x, terr.y);
+    const crowding = Math.min(1, tilePopulation[i] / tileCapacity(tile, owner));
+    if (tileInfections.has(i) || worldRng.next() >= tile.diseaseRisk * crowding) continue;
+    
+    const culture = dominantCulture(terr.x, terr.y);
+    const place = culture !== null ? generatePlaceName(culture, worldRng) : 'Red';
+    const epidemic = new Epidemic(
+      gameState.nextEpidemicId++,
+      `${place} ${pickRandom(DISEASE_NAMES, worldRng)}`,
+      terr.x,
+      terr.y,
+      gameState.year,
+      worldRng.range(0.2, 0.6),
+      worldRng.range(0.03, 0.2)
+    );
+    gameState.epidemics.push(epidemic);
+    infectTile(epidemic, i, new Set());
+    
+    logEvent('epidemic', `The ${epidemic.name} broke out among ${describeOwner(owner)}.`);
+    return;
+  }
+}
+
+// Each sick tile loses people, worse when crowded and better with medicine, and
+// passes the disease to its neighbors and along its owner's trade routes.
+// Survivors are immune, so a disease burns out once it runs out of hosts.
+function updateEpidemics(tiles) {
+  if (worldRng.next() < EPIDEMIC.outbreakChance) startEpidemic(tiles);
+  
+  for (const epidemic of [...gameState.epidemics]) {
+    const recovered = new Set(epidemic.recovered);
+    const sickOwners = new Set();
+    const spreading = [];
+    
+    for (const infection of epidemic.infected) {
+      const owner = ownerEntities.get(tileOwners[infection.i]);
+      if (!owner || tilePopulation[infection.i] <= 0) {
+        infection.years = 0;
+        continue;
+      }
+      sickOwners.add(owner);
+      
+      const x = infection.i % TILE_WIDTH;
+      const y = Math.floor(infection.i / TILE_WIDTH);
+      const tile = getTileAt(tiles, x, y);
+      const crowding = Math.min(1, tilePopulation[infection.i] / tileCapacity(tile, owner));
+      const deaths = tilePopulation[infection.i] *
+        Math.min(0.9, epidemic.lethality * (0.5 + crowding) * Math.max(0, 1 - techEffect(owner, 'health')));
+      tilePopulation[infection.i] -= deaths;
+      epidemic.deaths += deaths;
+      
+      for (const n of tileNeighbors(x, y)) {
+        const j = tileIndex(n.x, n.y);
+        if (worldRng.next() < epidemic.virulence * (0.5 + crowding) * 0.5) spreading.push(j);
+      }
+      infection.years--;
+    }
+    
+    for (const owner of sickOwners) {
+      owner.population = sumPopulation(owner);
+      if (!(owner instanceof Country)) continue;
+      for (const route of gameState.tradeRoutes) {
+        if (route.a !== owner.id && route.b !== owner.id) continue;
+        const partner = getCountryById(route.a === owner.id ? route.b : route.a);
+        if (partner && worldRng.next() < epidemic.virulence * EPIDEMIC.tradeSpread) {
+          spreading.push(tileIndex(partner.capitalX, partner.capitalY));
+        }
+      }
+    }
+    
+    for (const infection of epidemic.infected) {
+      if (infection.years > 0) continue;
+      tileInfections.delete(infection.i);
+      epidemic.recovered.push(infection.i);
+      recovered.add(infection.i);
+    }
+    epidemic.infected = epidemic.infected.filter(infection => infection.years > 0);
+    
+    for (const j of spreading) {
+      infectTile(epidemic, j, recovered);
+    }
+    
+    if (epidemic.infected.length === 0) {
+      gameState.epidemics.splice(gameState.epidemics.indexOf(epidemic), 1);
+      const years = gameState.year - epidemic.start;
+      logEvent('epidemic', `The ${epidemic.name} has run its course after ${years} year${years === 1 ? '' : 's'}, killing ${Math.round(epidemic.deaths).toLocaleString()}.`);
+    }
+  }
+}
+
+// ============================================
+// CLIMATE
+// ============================================
+
+// The world warms and cools over centuries. A few slow cycles add up to a
+// global temperature anomaly: 0 is the climate the planet was generated
+// with, below that come ice ages, above it warm periods. Every few years the
+// tiles are recomputed from their generated climate: the poles swing hardest,
+// a warmer world is wetter, seas sink as the ice grows, and regional droughts
+// come and go on top. Land lost to the sea or the ice is abandoned, and
+// tribes whose land turns hostile move on.
+
+const CLIMATE = {
+  updateYears: 10, // how often tiles are recomputed
+  cycles: [ // period in years, amplitude in temperature units
+    { period: 2400, amplitude: 0.2 }, // ice ages
+    { period: 700, amplitude: 0.07 }, // warm periods and little ice ages
+    { period: 170, amplitude: 0.03 }
+  ],
+  periodJitter: 0.2, // fraction each period may vary from world to world
+  polarAmplification: 0.6, // extra swing at the poles
+  rainfallPerDegree: 0.4, // fractional rainfall change per unit of anomaly
+  seaLevelPerDegree: 0.2, // ice ages lock up water, warm periods melt it
+  seaLevelStep: 0.01, // sea level moves in steps, so coasts change now and then
+  iceAge: -0.12, // anomaly below which the world is in an ice age
+  warmPeriod: 0.08, // and above which it is in a warm period
+  droughtYears: [15, 50], // droughts start as DISASTERS
+  droughtSeverity: [0.3, 0.6], // rainfall lost at the center
+  unsettleHabitability: 0.25 // settled tribes give up land worse than this
+};
+
+const CLIMATE_ERAS = {
+  ice: { start: 'The world grows cold: an ice age has begun and the glaciers advance.', end: 'The ice age is ending. The glaciers retreat and the seas rise.' },
+  warm: { start: 'A warm period has begun and the seas are rising.', end: 'The warm period has ended.' },
+  temperate: null
+};
+
+function createClimate(rng) {
+  return {
+    // Each cycle starts at zero, either warming or cooling
+    cycles: CLIMATE.cycles.map(c => ({
+      period: Math.round(c.period * rng.range(1 - CLIMATE.periodJitter, 1 + CLIMATE.periodJitter)),
+      amplitude: c.amplitude,
+      phase: rng.next() < 0.5 ? 0 : Math.PI
+    })),
+    anomaly: 0,
+    seaLevel: 0,
+    era: 'temperate',
+    droughts: [] // { x, y, radius, severity, end, place }
+  };
+}
+
+function climateAnomaly(climate, year) {
+  return climate.cycles.reduce((sum, c) => sum + c.amplitude * Math.sin(year / c.period * Math.PI * 2 + c.phase), 0);
+}
+
+function climateEra(anomaly) {
+  if (anomaly < CLIMATE.iceAge) return 'ice';
+  if (anomaly > CLIMATE.warmPeriod) return 'warm';
+  return 'temperate';
+}
+
+function droughtFactor(tile, droughts) {
+  let factor = 1;
+  for (const d of droughts) {
+    const dx = Math.abs(tile.x - d.x);
+    const distance = Math.hypot(Math.min(dx, TILE_WIDTH - dx), tile.y - d.y);
+    if (distance < d.radius) factor *= 1 - d.severity * (1 - distance / d.radius);
+  }
+  return factor;
+}
+
+// Recomputes every tile from its generated climate and the current anomaly,
+// sea level and droughts. Returns the tiles whose biome or coastline changed.
+function applyClimate(tiles) {
+  const { anomaly, seaLevel, droughts } = gameState.climate;
+  const changed = [];
+  let coastChanged = false;
+  
+  for (const tile of tiles) {
+    const wasLand = tile.isLand;
+    const biome = tile.biomeType;
+    const lat = Math.abs(tile.y / TILE_HEIGHT * 2 - 1);
+    
+    const temperature = tile.baseTemperature + anomaly * (1 + lat * CLIMATE.polarAmplification);
+    const rainfall = tile.baseRainfall * (1 + anomaly * CLIMATE.rainfallPerDegree) * droughtFactor(tile, droughts);
+    tile.temperature = Math.max(-1, Math.min(1, temperature));
+    tile.rainfall = Math.max(0, Math.min(1.2, rainfall));
+    deriveTileTraits(tile, seaLevel);
+    
+    if (tile.isLand !== wasLand) coastChanged = true;
+    if (tile.isLand !== wasLand || tile.biomeType !== biome) changed.push(tile);
+  }
+  
+  if (coastChanged) computeCoastDistances(tiles);
+  return { changed, coastChanged };
+}
+
+// Rising and falling seas join and split landmasses. Names and contacts
+// follow each old landmass to whichever new one holds most of its land.
+function relabelLandmasses(tiles) {
+  const old = tiles.map(t => t.landmass);
+  labelLandmasses(tiles);
+  
+  const overlap = new Map(); // old id -> Map(new id -> shared tiles)
+  tiles.forEach((tile, i) => {
+    if (old[i] < 0 || tile.landmass < 0) return;
+    if (!overlap.has(old[i])) overlap.set(old[i], new Map());
+    const counts = overlap.get(old[i]);
+    counts.set(tile.landmass, (counts.get(tile.landmass) || 0) + 1);
+  });
+  
+  const successor = new Map();
+  for (const [from, counts] of overlap) {
+    let best = -1;
+    for (const [to, count] of counts) {
+      if (best < 0 || count > counts.get(best)) best = to;
+    }
+    successor.set(from, best);
+  }
+  
+  const names = {};
+  for (const [id, name] of Object.entries(gameState.landmassNames)) {
+    const to = successor.get(Number(id));
+    if (to !== undefined && !names[to]) names[to] = name;
+  }
+  gameState.landmassNames = names;
+  
+  const contacts = new Set();
+  for (const key of gameState.contacts) {
+    const [a, b] = key.split(':').map(id => successor.get(Number(id)));
+    if (a === undefined || b === undefined || a === b) continue;
+    contacts.add(a < b ? `${a}:${b}` : `${b}:${a}`);
+  }
+  gameState.contacts = [...contacts];
+}
+
+function startDrought(x, y, radius, owner) {
+  const drought = {
+    x,
+    y,
+    radius,
+    severity: worldRng.range(...CLIMATE.droughtSeverity),
+    end: gameState.year + Math.round(worldRng.range(...CLIMATE.droughtYears)),
+    place: describeOwner(owner)
+  };
+  gameState.climate.droughts.push(drought);
+  logEvent('climate', `A great drought has settled over the lands of ${drought.place}.`);
+}
+
+// The land under a tribe's feet is gone, so it moves to free land next door
+// or perishes. Returns false if it perished.
+function displaceTribe(tribe, tiles, cause) {
+  const refuge = tileNeighbors(tribe.x, tribe.y)
+    .find(n => getTileAt(tiles, n.x, n.y).isLand && !getTileOwner(n.x, n.y));
+  if (!refuge) {
+    logEvent('extinction', `${cultureName(tribe.culture)} tribe was lost to the ${cause}.`);
+    removeTribe(tribe);
+    return false;
+  }
+  
+  moveTribe(tribe, refuge.x, refuge.y);
+  tribe.settled = false;
+  tribe.path = [];
+  tribe.migrationCooldown = 0;
+  return true;
+}
+
+// Land that went under the sea or the ice is given up. Countries keep their
+// capitals on the ice, but not under water.
+function abandonLostLand(changed, tiles) {
+  const losses = new Map(); // country -> { sea, ice }
+  
+  for (const tile of changed) {
+    const owner = getTileOwner(tile.x, tile.y);
+    if (!owner) continue;
+    
+    const cause = !tile.isLand ? 'sea' : tile.biomeType === 'ice' ? 'ice' : null;
+    if (!cause) continue;
+    
+    if (owner instanceof Tribe) {
+      if (tile.x === owner.x && tile.y === owner.y) {
+        displaceTribe(owner, tiles, cause);
+      } else {
+        releaseTile(owner, tile.x, tile.y);
+      }
+      continue;
+    }
+    
+    if (cause === 'ice' && isCapital(owner, tile.x, tile.y)) continue;
+    
+    releaseTile(owner, tile.x, tile.y);
+    if (!losses.has(owner)) losses.set(owner, { sea: 0, ice: 0 });
+    losses.get(owner)[cause]++;
+    
+    if (isCapital(owner, tile.x, tile.y) && owner.territories.length > 0) {
+      relocateCapital(owner, tiles);
+      logEvent('capital_moved', `${owner.name} moved its capital to ${settlementAt(owner.capitalX, owner.capitalY).name} as the sea swallowed the old one.`);
+    }
+  }
+  
+  for (const [country, lost] of losses) {
+    if (lost.sea >= 2) logEvent('climate', `Rising seas have swallowed ${lost.sea} tiles of ${country.name}.`);
+    if (lost.ice >= 2) logEvent('climate', `Advancing ice has driven ${country.name} from ${lost.ice} tiles.`);
+  }
+}
+
+function updateClimate(tiles) {
+  const climate = gameState.climate;
+  
+  // Droughts end in between
+  climate.droughts = climate.droughts.filter(d => {
+    if (d.end > gameState.year) return true;
+    logEvent('climate', `The drought over the lands of ${d.place} has broken.`);
+    return false;
+  });
+  
+  if (gameState.year % CLIMATE.updateYears !== 0) return;
+  
+  climate.anomaly = climateAnomaly(climate, gameState.year);
+  climate.seaLevel = Math.round(climate.anomaly * CLIMATE.seaLevelPerDegree / CLIMATE.seaLevelStep) * CLIMATE.seaLevelStep;
+  
+  const era = climateEra(climate.anomaly);
+  if (era !== climate.era) {
+    const message = CLIMATE_ERAS[era] ? CLIMATE_ERAS[era].start : CLIMATE_ERAS[climate.era].end;
+    logEvent('climate', message);
+    climate.era = era;
+  }
+  
+  const { changed, coastChanged } = applyClimate(tiles);
+  if (coastChanged) relabelLandmasses(tiles);
+  abandonLostLand(changed, tiles);
+  
+  // Settled tribes on land turned poor pack up and look for better
+  for (const tribe of [...gameState.tribes]) {
+    if (tribe.settled && getTileAt(tiles, tribe.x, tribe.y).habitability < CLIMATE.unsettleHabitability) {
+      tribe.settled = false;
+      tribe.migrationCooldown = 0;
+    }
+  }
+  
+  simEvents.emit('terrain', changed);
+}
+
+// ============================================
+// DISASTERS
+// ============================================
+
+// Each kind of disaster has a yearly chance to strike at a suitable site near
+// people. Disasters kill a share of the people in an area around the site,
+// fading with distance, and cost the countries hit part of their stockpiles.
+// Eruptions and earthquakes leave the land rougher, eruptions higher too. Those
+// tile edits are saved, since the seed alone no longer reproduces them.
+// Droughts hand over to CLIMATE for their rainfall.
+
+const DISASTER_TYPES = {
+  volcano: {
+    name: 'Volcanic eruption', chance: 0.02, radius: [2, 4], deaths: 0.5, resourceLoss: 0.2, color: '#ff5a1f',
+    site: tile => tile.isLand && tile.roughness > DISASTER.mountainRoughness && tile.elevation > 0.4,
+    affects: () => true,
+    edits: { elevation: 0.03, roughness: 0.05 }
+  },
+  earthquake: {
+    name: 'Earthquake', chance: 0.015, radius: [3, 6], deaths: 0.2, resourceLoss: 0.15, color: '#c08040',
+    site: tile => isCoastal(tile) || tile.roughness > DISASTER.mountainRoughness,
+    affects: tile => tile.isLand,
+    edits: { roughness: 0.05 }
+  },
+  tsunami: {
+    name: 'Tsunami', chance: 0.008, radius: [3, 7], deaths: 0.35, resourceLoss: 0.1, color: '#40a0ff',
+    site: isCoastal,
+    affects: tile => tile.isLand && tile.distanceToCoast < 2
+  },
+  flood: {
+    name: 'Flood', chance: 0.03, radius: [1, 3], deaths: 0.1, resourceLoss: 0.1, color: '#3070ff',
+    site: tile => tile.isLand && tile.riverPresence === 'major',
+    affects: tile => tile.isLand && (tile.riverPresence === 'major' || tile.elevation < DISASTER.floodplain)
+  },
+  drought: {
+    name: 'Drought', chance: 0.015, radius: [3, 8], deaths: 0, resourceLoss: 0.3, color: '#e0b040',
+    site: tile => tile.isLand && tile.rainfall < 0.35 && droughtFactor(tile, gameState.climate.droughts) === 1,
+    affects: tile => tile.isLand
+  }
+};
+
+const DISASTER = {
+  siteTries: 10, // inhabited places searched for a site when a disaster is due
+  mountainRoughness: 0.2, // roughly the most rugged tenth of the land
+  floodplain: 0.1, // low ground floods along with the river
+  showYears: 3 // how long a disaster stays marked on the map
+};
+
+// Tiles within radius of (x, y), wrapping east-west, with their distance
+function tilesInRadius(x, y, radius) {
+  const found = [];
+  for (let dy = -radius; dy <= radius; dy++) {
+    const ny = y + dy;
+    if (ny < 0 || ny >= TILE_HEIGHT) continue;
+    
+    for (let dx = -radius; dx <= radius; dx++) {
+      const distance = Math.hypot(dx, dy);
+      if (distance <= radius) found.push({ x: (x + dx + TILE_WIDTH) % TILE_WIDTH, y: ny, distance });
+    }
+  }
+  return found;
+}
+
+// Permanently shifts a tile's terrain, remembering the result for saves
+function editTile(tile, edits, tiles) {
+  const wasLand = tile.isLand;
+  const i = tileIndex(tile.x, tile.y);
+  const saved = gameState.tileEdits[i] || (gameState.tileEdits[i] = {});
+  for (const field in edits) {
+    tile[field] += edits[field];
+    saved[field] = tile[field];
+  }
+  deriveTileTraits(tile, gameState.climate.seaLevel);
+  
+  // Land raised from or sunk into the sea redraws the coast, as in CLIMATE
+  if (tile.isLand !== wasLand) {
+    computeCoastDistances(tiles);
+    relabelLandmasses(tiles);
+    abandonLostLand([tile], tiles);
+  }
+}
+
+function restoreTileEdits(tiles) {
+  for (const [i, edits] of Object.entries(gameState.tileEdits)) {
+    Object.assign(tiles[i], edits);
+  }
+}
+
+// Only disasters near people are worth simulating, so sites are sought around
+// random inhabited tiles
+function findDisasterSite(type, tiles) {
+  const owners = [...gameState.tribes, ...gameState.countries];
+  if (owners.length === 0) return null;
+  
+  for (let t = 0; t < DISASTER.siteTries; t++) {
+    const owner = owners[Math.floor(worldRng.next() * owners.length)];
+    const terr = owner.territories[Math.floor(worldRng.next() * owner.territories.length)];
+    if (!terr) continue;
+    
+    for (const { x, y } of tilesInRadius(terr.x, terr.y, type.radius[0])) {
+      const tile = getTileAt(tiles, x, y);
+      if (type.site(tile)) return tile;
+    }
+  }
+  return null;
+}
+
+// Where to say it happened: the nearest town in the area, or who it hit most
+function disasterPlace(area, hardestHit) {
+  let nearest = null;
+  for (const { x, y, distance } of area) {
+    const settlement = settlementAt(x, y);
+    if (settlement && (!nearest || distance < nearest.distance)) nearest = { settlement, distance };
+  }
+  return nearest ? `near ${nearest.settlement.name}` : `in the lands of ${describeOwner(hardestHit)}`;
+}
+
+// Kills people and spoils stockpiles across the area. Returns the owners hit
+// with the number of their people killed, hardest hit first.
+function strikeArea(type, area, radius, tiles) {
+  const hits = new Map(); // owner -> { tiles, deaths }
+  
+  for (const { x, y, distance } of area) {
+    const tile = getTileAt(tiles, x, y);
+    const owner = getTileOwner(x, y);
+    if (!owner || !type.affects(tile)) continue;
+    
+    const i = tileIndex(x, y);
+    const killed = tilePopulation[i] * type.deaths * (1 - distance / (radius + 1));
+    tilePopulation[i] -= killed;
+    
+    if (!hits.has(owner)) hits.set(owner, { tiles: 0, deaths: 0 });
+    hits.get(owner).tiles++;
+    hits.get(owner).deaths += killed;
+  }
+  
+  for (const [owner, hit] of hits) {
+    owner.population = sumPopulation(owner);
+    if (!(owner instanceof Country)) continue;
+    
+    const loss = type.resourceLoss * Math.min(1, hit.tiles / owner.territories.length);
+    for (const resource of RESOURCE_TYPES) {
+      owner.resources[resource] *= 1 - loss;
+    }
+  }
+  
+  return [...hits].sort((a, b) => b[1].deaths - a[1].deaths);
+}
+
+function triggerDisaster(id, site, tiles) {
+  const type = DISASTER_TYPES[id];
+  const radius = Math.round(worldRng.range(...type.radius));
+  const area = tilesInRadius(site.x, site.y, radius);
+  
+  const hits = strikeArea(type, area, radius, tiles);
+  const deaths = Math.round(hits.reduce((sum, [, hit]) => sum + hit.deaths, 0));
+  if (hits.length === 0 || (type.deaths > 0 && deaths === 0)) return; // nobody there to notice
+  
+  const [hardestHit] = hits[0];
+  if (id === 'drought') {
+    startDrought(site.x, site.y, radius, hardestHit);
+  } else {
+    logEvent('disaster', `${type.name} ${disasterPlace(area, hardestHit)} killed ${deaths.toLocaleString()} people.`);
+  }
+  
+  if (type.edits) {
+    editTile(site, type.edits, tiles);
+    simEvents.emit('terrain', [site]);
+  }
+  
+  gameState.disasters.push({ type: id, x: site.x, y: site.y, radius, year: gameState.year });
+}
+
+function updateDisasters(tiles) {
+  gameState.disasters = gameState.disasters.filter(d => gameState.year - d.year < DISASTER.showYears);
+  
+  for (const id in DISASTER_TYPES) {
+    if (worldRng.next() >= DISASTER_TYPES[id].chance) continue;
+    
+    const site = findDisasterSite(DISASTER_TYPES[id], tiles);
+    if (site) triggerDisaster(id, site, tiles);
+  }
+}
+
+// ============================================
+// MIGRATION
+// ============================================
+
+// Nomads know the land for some way around them. When they move on they pick
+// one of the most promising free places in that range, plan the cheapest
+// route there with A* and walk it over the following years, as far each year
+// as the terrain allows. Going along rivers and coasts is easier.
+
+const MIGRATION = {
+  scoutRadius: 10, // tiles a tribe knows around it
+  distancePenalty: 3, // score lost per tile of distance to a destination
+  choices: 3, // picks at random among this many best destinations
+  travelPerYear: 4, // movement cost a tribe covers in a year
+  majorRiverCost: 0.6, // multipliers on movementCost
+  minorRiverCost: 0.8,
+  coastCost: 0.8,
+  maxSearch: 600 // tiles A* may expand before giving up
+};
+
+// The cheapest step there can be, so the A* estimate never overshoots
+const MIN_STEP_COST = MIGRATION.majorRiverCost * MIGRATION.coastCost;
+
+// How attractive a tile is to stop at
+function migrationScore(tile) {
+  let score = tile.habitability * 100;
+  
+  // Prefer rivers
+  if (tile.riverPresence === 'major') score += 50;
+  else if (tile.riverPresence === 'minor') score += 25;
+  
+  // Prefer coasts
+  if (tile.distanceToCoast < 2) score += 30;
+  
+  // Avoid bad biomes
+  if (tile.biomeType === 'desert') score -= 40;
+  if (tile.biomeType === 'ice' || tile.biomeType === 'tundra') score -= 60;
+  
+  // Avoid mountains
+  if (tile.roughness > 0.5) score -= 30;
+  
+  return score;
+}
+
+function stepCost(tile) {
+  let cost = tile.movementCost;
+  if (tile.riverPresence === 'major') cost *= MIGRATION.majorRiverCost;
+  else if (tile.riverPresence === 'minor') cost *= MIGRATION.minorRiverCost;
+  if (isCoastal(tile)) cost *= MIGRATION.coastCost;
+  return cost;
+}
+
+// Nomads don't wander into land someone else holds
+function canPass(tribe, tile) {
+  if (!tile.isLand) return false;
+  const owner = getTileOwner(tile.x, tile.y);
+  return !owner || owner === tribe;
+}
+
+// Steps between two tiles moving only along rows and columns
+function stepDistance(ax, ay, bx, by) {
+  const dx = Math.abs(ax - bx);
+  return Math.min(dx, TILE_WIDTH - dx) + Math.abs(ay - by);
+}
+
+// Binary min-heap of [priority, value] entries
+function heapPush(heap, entry) {
+  heap.push(entry);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+      if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+// Cheapest route from the tribe to (tx, ty) as a list of {x, y} steps, not
+// counting where it stands, or null if there is none within reach
+function findPath(tribe, tx, ty, tiles) {
+  const start = tileIndex(tribe.x, tribe.y);
+  const goal = tileIndex(tx, ty);
+  const cost = new Map([[start, 0]]);
+  const cameFrom = new Map();
+  const open = [[stepDistance(tribe.x, tribe.y, tx, ty) * MIN_STEP_COST, start]];
+  
+  for (let expanded = 0; open.length > 0 && expanded < MIGRATION.maxSearch; expanded++) {
+    const [, i] = heapPop(open);
+    const x = i % TILE_WIDTH;
+    const y = Math.floor(i / TILE_WIDTH);
+    
+    if (i === goal) {
+      const path = [];
+      for (let at = goal; at !== start; at = cameFrom.get(at)) {
+        path.push({ x: at % TILE_WIDTH, y: Math.floor(at / TILE_WIDTH) });
+      }
+      return path.reverse();
+    }
+    
+    for (const n of tileNeighbors(x, y)) {
+      const tile = getTileAt(tiles, n.x, n.y);
+      if (!canPass(tribe, tile)) continue;
+      
+      const j = tileIndex(n.x, n.y);
+      const g = cost.get(i) + stepCost(tile);
+      if (cost.has(j) && cost.get(j) <= g) continue;
+      
+      cost.set(j, g);
+      cameFrom.set(j, i);
+      heapPush(open, [g + stepDistance(n.x, n.y, tx, ty) * MIN_STEP_COST, j]);
+    }
+  }
+  return null;
+}
+
+// Free land the tribe knows of on its own landmass, best first, closer
+// places preferred
+function chooseDestinations(tribe, tiles) {
+  const r = MIGRATION.scoutRadius;
+  const landmass = getTileAt(tiles, tribe.x, tribe.y).landmass;
+  const options = [];
+  
+  for (let dy = -r; dy <= r; dy++) {
+    const y = tribe.y + dy;
+    if (y < 0 || y >= TILE_HEIGHT) continue;
+    
+    for (let dx = -r; dx <= r; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      
+      const x = (tribe.x + dx + TILE_WIDTH) % TILE_WIDTH;
+      const tile = getTileAt(tiles, x, y);
+      if (tile.landmass !== landmass || !canPass(tribe, tile)) continue;
+      
+      const score = migrationScore(tile) - (Math.abs(dx) + Math.abs(dy)) * MIGRATION.distancePenalty;
+      options.push({ x, y, score });
+    }
+  }
+  
+  return options.sort((a, b) => b.score - a.score);
+}
+
+// Picks a destination among the best that can be reached and sets the tribe
+// on its way. Returns false if none can.
+function planMigration(tribe, tiles) {
+  const destinations = chooseDestinations(tribe, tiles).slice(0, MIGRATION.choices);
+  
+  while (destinations.length > 0) {
+    const [dest] = destinations.splice(Math.floor(worldRng.next() * destinations.length), 1);
+    const path = findPath(tribe, dest.x, dest.y, tiles);
+    if (!path) continue;
+    
+    tribe.targetX = dest.x;
+    tribe.targetY = dest.y;
+    tribe.path = path;
+    return true;
+  }
+  return false;
+}
+
+// Walks the route as far as this year's travel allows, at least one step.
+// Returns true once the tribe has arrived or the way ahead is blocked.
+function followPath(tribe, tiles) {
+  let budget = MIGRATION.travelPerYear;
+  
+  while (tribe.path.length > 0) {
+    const next = tribe.path[0];
+    const tile = getTileAt(tiles, next.x, next.y);
+    if (!canPass(tribe, tile)) {
+      tribe.path = [];
+      break;
+    }
+    
+    const cost = stepCost(tile);
+    if (cost > budget && budget < MIGRATION.travelPerYear) break;
+    
+    budget -= cost;
+    tribe.path.shift();
+    moveTribe(tribe, next.x, next.y);
+  }
+  
+  return tribe.path.length === 0;
+}
+
+function endMigration(tribe) {
+  tribe.targetX = null;
+  tribe.targetY = null;
+  tribe.path = [];
+  tribe.migrationCooldown = Math.floor(worldRng.range(10, 30)); // Stay for a while
+}
+
+// ============================================
+// TRIBE SPAWNING
+// ============================================
+
+function spawnInitialTribes(tiles, rng) {
+  const numTribes = Math.floor(rng.range(40, 80));
+  
+  // Find habitable tiles for spawning
+  const habitableTiles = tiles.filter(tile => 
+    tile.isLand && 
+    tile.habitability > 0.3 &&
+    tile.biomeType !== 'ice' &&
+    tile.biomeType !== 'alpine'
+  );
+  
+  // Sort by habitability
+  habitableTiles.sort((a, b) => b.habitability - a.habitability);
+  
+  // Spawn tribes in best locations
+  for (let i = 0; i < numTribes && i < habitableTiles.length; i++) {
+    const tile = habitableTiles[Math.floor(rng.next() * Math.min(habitableTiles.length, 200))];
+    
+    const population = Math.floor(rng.range(50, 200));
+    const tribe = new Tribe(gameState.nextTribeId++, tile.x, tile.y, population, rng);
+    tribe.culture = createCulture(null, tile.x, tile.y, rng).id;
+    
+    // Prefer river valleys and coasts
+    if (tile.riverPresence === 'major') {
+      tribe.population *= 1.5;
+    } else if (tile.riverPresence === 'minor') {
+      tribe.population *= 1.2;
+    }
+    
+    if (tile.distanceToCoast < 3) {
+      tribe.population *= 1.2;
+    }
+    
+    tribe.population = Math.floor(tribe.population);
+    
+    addTribe(tribe);
+    
+    // Initialize territory (just current tile)
+    claimTile(tribe, tile.x, tile.y);
+    tilePopulation[tileIndex(tile.x, tile.y)] = tribe.population;
+  }
+  
+  return gameState.tribes;
+}
+
+// ============================================
+// SIMULATION TICK
+// ============================================
+
+function getTileAt(tiles, x, y) {
+  const index = y * TILE_WIDTH + x;
+  return tiles[index];
+}
+
+function simulateTick(tiles) {
+  if (!gameState.running) return;
+  
+  gameState.year += 1;
+  
+  // Update all tribes
+  for (let i = gameState.tribes.length - 1; i >= 0; i--) {
+    const tribe = gameState.tribes[i];
+    tribe.age++;
+    
+    const currentTile = getTileAt(tiles, tribe.x, tribe.y);
+    
+    // Population growth
+    growPopulation(tribe, tiles);
+    
+    // Death if population too low
+    if (tribe.population < 10) {
+      logEvent('extinction', `${cultureName(tribe.culture)} tribe has died out.`);
+      removeTribe(tribe);
+      continue;
+    }
+    
+    // Settlement check - if staying in one spot long enough
+    if (!tribe.settled) {
+      if (tribe.migrationCooldown > 0) {
+        tribe.migrationCooldown--;
+        tribe.settlementYears++;
+        
+        // Camps last only 10-30 years, so the years add up across stops.
+        // After 50 of them, a good spot is worth staying for
+        if (tribe.settlementYears > 50 && currentTile.habitability > 0.5 && tribe.population > 150 &&
+            ownsTile(tribe, tribe.x, tribe.y)) {
+          tribe.settled = true;
+          
+          // Tech advancement from settling
+          learnTech(tribe, 'agriculture');
+          
+          // Chance to form proto-state
+          if (worldRng.next() < 0.3) {
+            formProtoState(tribe, tiles);
+            removeTribe(tribe);
+            continue;
+          } else {
+            if (!isNearSettlement(tribe.x, tribe.y)) foundSettlement(tribe.x, tribe.y, tribe.culture, worldRng);
+            logEvent('settlement', `${cultureName(tribe.culture)} tribe has settled.`);
+          }
+        }
+      } else {
+        // Time to migrate
+        migrateTribe(tribe, tiles);
+      }
+    } else {
+      // Settled tribes can expand territory
+      if (tribe.age % 10 === 0 && tribe.population > 200) {
+        expandTerritory(tribe, tiles, 'tribe');
+      }
+      
+      // Settled tribes might form countries
+      if (tribe.territories.length > 3 && tribe.population > 300 && worldRng.next() < 0.05) {
+        formProtoState(tribe, tiles);
+        removeTribe(tribe);
+        continue;
+      }
+    }
+    
+    // Splitting - if its land gets crowded
+    if (tribe.population > 100 && tribe.population > entityCapacity(tribe, tiles) * 0.8 && worldRng.next() < 0.05) {
+      splitTribe(tribe, tiles);
+    }
+    
+    // Early tribal conflicts
+    if (tribe.settled && worldRng.next() < 0.02) {
+      tribalConflict(tribe, tiles);
+    }
+  }
+  
+  // A country left with no land at all has nothing to govern
+  for (const country of gameState.countries.filter(c => c.territories.length === 0)) {
+    collapseCountry(country);
+  }
+  
+  // Update countries
+  for (const country of gameState.countries) {
+    country.age++;
+    country.leader.yearsInPower++;
+    country.leader.age++;
+    
+    // Population growth
+    growPopulation(country, tiles);
+    
+    // Produce, eat and spend resources
+    updateEconomy(country, tiles);
+    
+    // Research new technology and pick up what neighbors know
+    const neighbors = getNeighborEntities(country).filter(e => e instanceof Country);
+    updateResearch(country, tiles, neighbors);
+    diffuseTechnology(country, tiles, neighbors);
+    
+    // Leader death, or the end of an elected term
+    const gov = GOVERNMENTS[country.government];
+    if (worldRng.next() < leaderDeathChance(country.leader.age)) {
+      succeedLeader(country, 'death', tiles);
+    } else if (gov.termLength && country.leader.yearsInPower >= gov.termLength) {
+      succeedLeader(country, 'term', tiles);
+    }
+    
+    // Stability, reforms, revolutions and rebellions
+    updateStability(country);
+    if (country.age % GOVERNMENT_CHECK_YEARS === 0) {
+      checkGovernmentChange(country);
+    }
+    checkRebellion(country, tiles);
+    
+    // Expansion, paid for per tile claimed
+    if (country.age % GOVERNMENTS[country.government].expansionInterval === 0) {
+      const affordable = affordableCount(country, ECONOMY.expansionCost);
+      if (affordable > 0) {
+        const claimed = expandTerritory(country, tiles, 'country', affordable);
+        spendResources(country, scaleCost(ECONOMY.expansionCost, claimed));
+      }
+    }
+    
+    // Open trade with friendly neighbors
+    if (country.age % 10 === 0) {
+      formTradeRoutes(country);
+    }
+    
+    // Warfare
+    if (country.age > 30 && !country.atWar && worldRng.next() < GOVERNMENTS[country.government].warChance) {
+      declareWar(country, tiles);
+    }
+  }
+  
+  // The climate drifts and the land changes with it
+  updateClimate(tiles);
+  
+  // Eruptions, earthquakes, tsunamis, floods and droughts
+  updateDisasters(tiles);
+  
+  // Fight battles and negotiate peace in ongoing wars
+  updateWars(tiles);
+  
+  // Move surplus goods along trade routes
+  updateTrade();
+  
+  // Relations, treaties and tribute
+  updateDiplomacy();
+  
+  // Ships set out, colonies are founded and distant peoples meet
+  updateExploration(tiles);
+  
+  // Diseases break out, spread and burn out
+  updateEpidemics(tiles);
+  
+  // Peoples mix, assimilate and drift apart
+  updateCultures();
+  
+  // Towns grow, starve and spring up
+  updateSettlements(tiles);
+  
+  // Check for tribe mergers
+  checkTribeMergers(tiles);
+  
+  simEvents.emit('tick', gameState);
+}
+
+function migrateTribe(tribe, tiles) {
+  // Keep walking a route already under way
+  if (tribe.path.length > 0) {
+    if (followPath(tribe, tiles)) endMigration(tribe);
+    return;
+  }
+  
+  const currentTile = getTileAt(tiles, tribe.x, tribe.y);
+  
+  // Now and then a coastal people sets out across the water instead
+  const landing = raftCrossing(tribe, tiles);
+  if (landing) {
+    const land = getTileAt(tiles, landing.x, landing.y).landmass;
+    const crossedOver = land !== currentTile.landmass;
+    moveTribe(tribe, landing.x, landing.y);
+    endMigration(tribe);
+    if (crossedOver) {
+      logEvent('migration', `${cultureName(tribe.culture)} tribe crossed the sea to ${landmassName(land, tribe.culture)}.`);
+    }
+    return;
+  }
+  
+  // Hemmed in, so stay and try again later
+  if (!planMigration(tribe, tiles)) {
+    endMigration(tribe);
+    return;
+  }
+  if (followPath(tribe, tiles)) endMigration(tribe);
+  
+  if (worldRng.next() < 0.1) {
+    logEvent('migration', `${cultureName(tribe.culture)} tribe migrated to new lands.`);
+  }
+}
+
+// Moves a tribe, people, sickness and all
+function moveTribe(tribe, x, y) {
+  const people = sumPopulation(tribe);
+  const from = tileIndex(tribe.x, tribe.y);
+  tribe.x = x;
+  tribe.y = y;
+  releaseAllTiles(tribe);
+  claimTile(tribe, x, y);
+  tilePopulation[tileIndex(x, y)] = people;
+  tribe.population = sumPopulation(tribe);
+  carryInfection(from, tileIndex(x, y));
+}
+
+function formProtoState(tribe, tiles) {
+  const countryName = generateCountryName(tribe.culture, 'chiefdom', worldRng);
+  const country = new Country(
+    gameState.nextCountryId++,
+    countryName,
+    tribe.x,
+    tribe.y,
+    tribe.color,
+    tribe.culture,
+    worldRng
+  );
+  
+  country.population = tribe.population;
+  country.techs = [...tribe.techs];
+  
+  addCountry(country);
+  transferAllTiles(tribe, country);
+  
+  // The seat of the new state is its founders' home
+  if (!settlementAt(tribe.x, tribe.y)) foundSettlement(tribe.x, tribe.y, tribe.culture, worldRng);
+  logEvent('country_formed', `${countryName} has been founded!`);
+}
+
+// Claims habitable neighboring land, at most maxTiles of it. Returns how many
+// tiles were claimed.
+function expandTerritory(entity, tiles, entityType, maxTiles = Infinity) {
+  // Tribes can only expand to max 5 tiles (small tribal territories)
+  if (entityType === 'tribe' && entity.territories.length >= 5) {
+    return 0;
+  }
+  
+  // Find neighboring unclaimed tiles
+  const newTerritories = [];
+  
+  // Seafaring peoples can also settle across the water
+  const seaRange = techEffect(entity, 'seaRange');
+  
+  for (const terr of entity.territories) {
+    const candidates = tileNeighbors(terr.x, terr.y);
+    if (seaRange > 0) candidates.push(...overseaLandings(terr.x, terr.y, seaRange, tiles));
+    
+    for (const n of candidates) {
+      const tile = getTileAt(tiles, n.x, n.y);
+      
+      if (!tile.isLand) continue;
+      
+      // Claimed by this or any other entity
+      if (getTileOwner(n.x, n.y)) continue;
+      
+      // Expand if habitable
+      if (tile.habitability > 0.3 && worldRng.next() < 0.3) {
+        newTerritories.push({ x: n.x, y: n.y });
+      }
+    }
+  }
+  
+  let claimed = 0;
+  const home = homeLandmass(entity, tiles);
+  for (const terr of newTerritories) {
+    if (claimed >= maxTiles) break;
+    if (!claimTile(entity, terr.x, terr.y)) continue;
+    claimed++;
+    
+    // Land settled across the water is named by its settlers
+    const land = getTileAt(tiles, terr.x, terr.y).landmass;
+    if (land !== home) landmassName(land, entity.culture);
+  }
+  return claimed;
+}
+
+function tribalConflict(tribe, tiles) {
+  // Find neighboring settled tribes
+  for (const other of getNeighborEntities(tribe)) {
+    if (!(other instanceof Tribe) || !other.settled) continue;
+    
+    // Conflict!
+    if (tribe.population > other.population * 1.3) {
+      // Tribe conquers other tribe, and many of the conquered die or flee
+      for (const terr of other.territories) {
+        scaleTilePopulation(terr.x, terr.y, 1 - POPULATION.conquestLoss);
+      }
+      
+      // Take all territories
+      transferAllTiles(other, tribe);
+      
+      logEvent('conquest', `${cultureName(tribe.culture)} tribe conquered ${cultureName(other.culture)} tribe.`);
+      
+      removeTribe(other);
+      
+      return;
+    }
+  }
+}
+
+// ============================================
+// WARFARE
+// ============================================
+
+class War {
+  constructor(id, attacker, defender, goal, startYear) {
+    this.id = id;
+    this.attackers = [attacker.id]; // country ids
+    this.defenders = [defender.id];
+    this.goal = goal; // 'conquest' (take everything occupied) or 'border' (limited gains)
+    this.startYear = startYear;
+    this.warScore = 0; // -100 to 100, positive favours the attackers
+    this.battleScore = 0; // running tally of battle results
+    this.attackerExhaustion = 0; // 0-100
+    this.defenderExhaustion = 0;
+    this.occupied = []; // Array of {x, y, owner, occupier} country ids
+  }
+}
+
+const WAR_GOALS = {
+  conquest: { peaceScore: 80, maxCession: Infinity },
+  border: { peaceScore: 40, maxCession: 4 }
+};
+
+const BATTLE_SCORE_CAP = 40;
+const CAPITAL_OCCUPATION_SCORE = 25;
+const CAPITAL_FORTIFICATION = 1.5;
+
+function getCountryById(id) {
+  return ownerEntities.get(id + 1);
+}
+
+// Land, military technology and a martial culture set the potential; an army
+// short of its full size fights at as little as half strength, a fully raised
+// one at one and a half
+function militaryStrength(country) {
+  const fullArmy = Math.max(1, country.territories.length * ECONOMY.armyPerTile);
+  const readiness = 0.5 + Math.min(1, country.army / fullArmy);
+  const culture = getCulture(country.culture);
+  const martial = culture ? 1 + (culture.traits.martial - 0.5) * 0.3 : 1;
+  return country.territories.length * (1 + techEffect(country, 'military')) * readiness * martial;
+}
+
+// The fallen are gone from the population too
+function inflictCasualties(ids, share) {
+  for (const id of ids) {
+    const country = getCountryById(id);
+    if (!country) continue;
+    
+    const fallen = Math.ceil(country.army * share);
+    country.army -= fallen;
+    killPopulation(country, fallen);
+  }
+}
+
+function areAtWar(a, b) {
+  return gameState.wars.some(w =>
+    (w.attackers.includes(a.id) && w.defenders.includes(b.id)) ||
+    (w.defenders.includes(a.id) && w.attackers.includes(b.id))
+  );
+}
+
+function sideStrength(ids) {
+  let total = 0;
+  for (const id of ids) {
+    const country = getCountryById(id);
+    if (country) total += militaryStrength(country);
+  }
+  return total;
+}
+
+function isCapital(country, x, y) {
+  return country.capitalX === x && country.capitalY === y;
+}
+
+// Rough and slow terrain favours whoever holds it
+function terrainDefense(tile) {
+  return 1 + tile.roughness * 1.5 + (tile.movementCost - 1) * 0.25;
+}
+
+function updateAtWarFlags() {
+  for (const country of gameState.countries) {
+    country.atWar = gameState.wars.some(w =>
+      w.attackers.includes(country.id) || w.defenders.includes(country.id)
+    );
+  }
+}
+
+function declareWar(country, tiles) {
+  // Vassals fight only their overlord's wars
+  if (overlordOf(country)) return;
+  
+  // Find neighboring countries not protected by a treaty
+  const neighbors = getNeighborEntities(country).filter(e => e instanceof Country && canAttack(country, e));
+  
+  if (neighbors.length === 0) return;
+  
+  // The most disliked neighbor is the likeliest target
+  const target = neighbors.reduce((worst, n) => getRelation(country, n) < getRelation(country, worst) ? n : worst);
+  const relation = getRelation(country, target);
+  
+  // Friends are left alone unless they look easy to beat
+  if (relation < 25 &&
+      (country.leader.traits.aggression > 0.6 || country.territories.length < target.territories.length * 0.5)) {
+    // Ambitious leaders fight for everything they can hold, others for a border strip
+    const goal = country.leader.traits.ambition > 0.5 ? 'conquest' : 'border';
+    const war = new War(gameState.nextWarId++, country, target, goal, gameState.year);
+    gameState.wars.push(war);
+    updateAtWarFlags();
+    changeRelation(country, target, DIPLOMACY.warScar);
+    
+    logEvent('war', `${country.name} declared war on ${target.name}!`);
+    callAllies(war);
+  }
+}
+
+// Key -> controlling country id for every tile held by a belligerent,
+// taking current occupations into account
+function buildWarControlMap(war) {
+  const control = new Map();
+  
+  for (const id of [...war.attackers, ...war.defenders]) {
+    const country = getCountryById(id);
+    if (!country) continue;
+    for (const terr of country.territories) {
+      control.set(tileIndex(terr.x, terr.y), id);
+    }
+  }
+  
+  for (const occ of war.occupied) {
+    control.set(tileIndex(occ.x, occ.y), occ.occupier);
+  }
+  
+  return control;
+}
+
+// Pairs of adjacent tiles where one side's holdings touch the other's
+function findFrontline(war, control, fromSide, toSide) {
+  const front = [];
+  
+  for (const [key, holder] of control) {
+    if (!fromSide.includes(holder)) continue;
+    
+    const x = key % TILE_WIDTH;
+    const y = Math.floor(key / TILE_WIDTH);
+    
+    for (const adj of tileNeighbors(x, y)) {
+      const enemy = control.get(tileIndex(adj.x, adj.y));
+      if (enemy !== undefined && toSide.includes(enemy)) {
+        front.push({ fromX: x, fromY: y, x: adj.x, y: adj.y, holder: enemy, attacker: holder });
+      }
+    }
+  }
+  
+  return front;
+}
+
+function occupyTile(war, x, y, occupier, control) {
+  const existing = war.occupied.findIndex(o => o.x === x && o.y === y);
+  
+  if (existing > -1) {
+    const occ = war.occupied[existing];
+    if (occ.owner === occupier) {
+      // Liberated by its rightful owner
+      war.occupied.splice(existing, 1);
+    } else {
+      occ.occupier = occupier;
+      sackSettlement(x, y);
+    }
+  } else {
+    const owner = control.get(y * TILE_WIDTH + x);
+    war.occupied.push({ x, y, owner, occupier });
+    sackSettlement(x, y);
+  }
+  
+  control.set(y * TILE_WIDTH + x, occupier);
+}
+
+// The front advances where the line is weakest: tiles already flanked by the
+// advancing side and open terrain are attacked first, so conquest grows out
+// from the border instead of jumping deep into enemy land
+function chooseBattle(front, control, advancing, tiles) {
+  const weights = [];
+  let total = 0;
+  
+  for (const f of front) {
+    let flanks = 0;
+    for (const adj of tileNeighbors(f.x, f.y)) {
+      if (advancing.includes(control.get(tileIndex(adj.x, adj.y)))) flanks++;
+    }
+    
+    const tile = getTileAt(tiles, f.x, f.y);
+    const weight = flanks * flanks / (terrainDefense(tile) * tile.movementCost);
+    weights.push(weight);
+    total += weight;
+  }
+  
+  let roll = worldRng.next() * total;
+  for (let i = 0; i < front.length; i++) {
+    roll -= weights[i];
+    if (roll <= 0) return front[i];
+  }
+  return front[front.length - 1];
+}
+
+function fightBattle(war, tiles) {
+  const control = buildWarControlMap(war);
+  
+  const attackerStrength = sideStrength(war.attackers) * (1 - war.attackerExhaustion / 200);
+  const defenderStrength = sideStrength(war.defenders) * (1 - war.defenderExhaustion / 200);
+  
+  // The stronger side is more likely to hold the initiative this year
+  const attackersAdvance = worldRng.next() < attackerStrength / (attackerStrength + defenderStrength);
+  const advancing = attackersAdvance ? war.attackers : war.defenders;
+  const holding = attackersAdvance ? war.defenders : war.attackers;
+  
+  const front = findFrontline(war, control, advancing, holding);
+  if (front.length === 0) return;
+  
+  const battle = chooseBattle(front, control, advancing, tiles);
+  const battleTile = getTileAt(tiles, battle.x, battle.y);
+  const holder = getCountryById(battle.holder);
+  
+  let defense = terrainDefense(battleTile);
+  if (holder && isCapital(holder, battle.x, battle.y)) {
+    defense *= CAPITAL_FORTIFICATION;
+  }
+  if (holder) {
+    defense *= 1 + techEffect(holder, 'defense');
+  }
+  
+  const advancingPower = (attackersAdvance ? attackerStrength : defenderStrength) * worldRng.range(0.5, 1.5);
+  const holdingPower = (attackersAdvance ? defenderStrength : attackerStrength) * worldRng.range(0.5, 1.5) * defense;
+  const advanceWon = advancingPower > holdingPower;
+  
+  // Whoever wins, the people caught in the fighting suffer
+  scaleTilePopulation(battle.x, battle.y, 1 - POPULATION.battleLoss);
+  
+  if (advanceWon) {
+    occupyTile(war, battle.x, battle.y, battle.attacker, control);
+    
+    if (holder && isCapital(holder, battle.x, battle.y)) {
+      const victor = getCountryById(battle.attacker);
+      logEvent('war', `${victor.name} captured the capital of ${holder.name}!`);
+    }
+  }
+  
+  // Score from the attackers' point of view
+  const attackersWon = advanceWon === attackersAdvance;
+  war.battleScore = Math.max(-BATTLE_SCORE_CAP, Math.min(BATTLE_SCORE_CAP,
+    war.battleScore + (attackersWon ? 4 : -4)
+  ));
+  
+  // Losing battles wears a side down faster
+  if (attackersWon) {
+    war.defenderExhaustion += 3;
+    war.attackerExhaustion += 1;
+    inflictCasualties(war.defenders, 0.08);
+    inflictCasualties(war.attackers, 0.03);
+  } else {
+    war.attackerExhaustion += 3;
+    war.defenderExhaustion += 1;
+    inflictCasualties(war.attackers, 0.08);
+    inflictCasualties(war.defenders, 0.03);
+  }
+}
+
+function calculateWarScore(war) {
+  let heldByAttackers = 0;
+  let heldByDefenders = 0;
+  let capitalScore = 0;
+  for (const occ of war.occupied) {
+    const attackersHold = war.attackers.includes(occ.occupier);
+    if (attackersHold) heldByAttackers++;
+    else heldByDefenders++;
+    
+    const owner = getCountryById(occ.owner);
+    if (owner && isCapital(owner, occ.x, occ.y)) {
+      capitalScore += attackersHold ? CAPITAL_OCCUPATION_SCORE : -CAPITAL_OCCUPATION_SCORE;
+    }
+  }
+  
+  const defenderTiles = Math.max(1, war.defenders.reduce((sum, id) => {
+    const c = getCountryById(id);
+    return sum + (c ? c.territories.length : 0);
+  }, 0));
+  const attackerTiles = Math.max(1, war.attackers.reduce((sum, id) => {
+    const c = getCountryById(id);
+    return sum + (c ? c.territories.length : 0);
+  }, 0));
+  
+  const occupationScore = 100 * (heldByAttackers / defenderTiles - heldByDefenders / attackerTiles);
+  
+  return Math.max(-100, Math.min(100, war.battleScore + occupationScore + capitalScore));
+}
+
+function updateWars(tiles) {
+  for (let i = gameState.wars.length - 1; i >= 0; i--) {
+    const war = gameState.wars[i];
+    
+    // Countries that collapsed mid-war drop out
+    war.attackers = war.attackers.filter(id => getCountryById(id));
+    war.defenders = war.defenders.filter(id => getCountryById(id));
+    
+    if (war.attackers.length === 0 || war.defenders.length === 0) {
+      gameState.wars.splice(i, 1);
+      continue;
+    }
+    
+    war.attackerExhaustion += 1;
+    war.defenderExhaustion += 1;
+    
+    fightBattle(war, tiles);
+    
+    war.warScore = calculateWarScore(war);
+    
+    const goal = WAR_GOALS[war.goal];
+    if (Math.abs(war.warScore) >= goal.peaceScore ||
+        war.attackerExhaustion >= 100 || war.defenderExhaustion >= 100) {
+      gameState.wars.splice(i, 1);
+      resolveWar(war, tiles);
+    }
+  }
+  
+  updateAtWarFlags();
+}
+
+// Occupations held by one country that link back to its own land, ordered
+// outward from the old border. Pockets cut off by a counterattack are left out.
+function connectedOccupations(war, occupier) {
+  const held = new Map();
+  for (const occ of war.occupied) {
+    if (occ.occupier === occupier.id) held.set(occ.y * TILE_WIDTH + occ.x, occ);
+  }
+  
+  const neighborKeys = (x, y) => tileNeighbors(x, y).map(n => tileIndex(n.x, n.y));
+  
+  const queue = [];
+  const visited = new Set();
+  for (const [key, occ] of held) {
+    if (tileNeighbors(occ.x, occ.y).some(n => ownsTile(occupier, n.x, n.y))) {
+      queue.push(key);
+      visited.add(key);
+    }
+  }
+  
+  const ordered = [];
+  while (queue.length > 0) {
+    const occ = held.get(queue.shift());
+    ordered.push(occ);
+    
+    for (const k of neighborKeys(occ.x, occ.y)) {
+      if (held.has(k) && !visited.has(k)) {
+        visited.add(k);
+        queue.push(k);
+      }
+    }
+  }
+  
+  return ordered;
+}
+
+// Move the seat of government to the largest town still held, or found one on
+// the most productive land
+function relocateCapital(country, tiles) {
+  const largest = settlementsOf(country)[0];
+  if (largest) {
+    country.capitalX = largest.x;
+    country.capitalY = largest.y;
+    return;
+  }
+  
+  let best = null;
+  let bestScore = -Infinity;
+  
+  for (const terr of country.territories) {
+    const tile = getTileAt(tiles, terr.x, terr.y);
+    const score = tilePopulation[tileIndex(terr.x, terr.y)] + (tile.riverPresence !== 'none' ? 100 : 0);
+    if (score > bestScore) {
+      bestScore = score;
+      best = terr;
+    }
+  }
+  
+  country.capitalX = best.x;
+  country.capitalY = best.y;
+  foundSettlement(best.x, best.y, country.culture, worldRng);
+}
+
+function collapseCountry(country) {
+  logEvent('collapse', `${country.name} has collapsed!`);
+  removeCountry(country);
+}
+
+// Peace treaty: the winning side keeps what it occupies (up to what its war goal
+// allows), everything else returns to its owner
+function resolveWar(war, tiles) {
+  const attacker = getCountryById(war.attackers[0]);
+  const defender = getCountryById(war.defenders[0]);
+  const years = gameState.year - war.startYear;
+  
+  if (attacker && defender) {
+    changeRelation(attacker, defender, DIPLOMACY.warScar);
+  }
+  
+  let winners = null;
+  if (war.warScore >= 25) winners = war.attackers;
+  else if (war.warScore <= -25) winners = war.defenders;
+  
+  let ceded = 0;
+  const lost = new Map(); // country id -> tiles lost in this treaty
+  const maxCession = WAR_GOALS[war.goal].maxCession;
+  
+  if (winners) {
+    for (const id of winners) {
+      const occupier = getCountryById(id);
+      if (!occupier) continue;
+      
+      for (const occ of connectedOccupations(war, occupier)) {
+        if (ceded >= maxCession) break;
+        
+        const owner = getCountryById(occ.owner);
+        if (!owner) continue;
+        
+        // Fails if the tile changed hands since it was occupied
+        if (transferTile(owner, occupier, occ.x, occ.y)) {
+          captureSettlement(occ.x, occ.y, owner, occupier);
+          ceded++;
+          lost.set(owner.id, (lost.get(owner.id) || 0) + 1);
+        }
+      }
+    }
+  }
+  
+  if (winners === war.attackers) {
+    logEvent('war_end', `${attacker.name} victorious over ${defender.name} after ${years} years, annexing ${ceded} territories.`);
+  } else if (winners === war.defenders) {
+    logEvent('war_end', `${defender.name} defended against ${attacker.name} after ${years} years${ceded > 0 ? `, seizing ${ceded} territories` : ''}.`);
+  } else {
+    logEvent('war_end', `${attacker.name} and ${defender.name} signed a white peace after ${years} years.`);
+  }
+  
+  for (const id of [...war.attackers, ...war.defenders]) {
+    const country = getCountryById(id);
+    if (!country) continue;
+    
+    // Losers might collapse
+    if (country.territories.length < 2) {
+      collapseCountry(country);
+      continue;
+    }
+    
+    const capitalHeld = ownsTile(country, country.capitalX, country.capitalY);
+    if (capitalHeld) continue;
+    
+    // A state that lost its capital along with most of its land falls apart,
+    // otherwise the government flees to what remains
+    if (country.territories.length < (lost.get(country.id) || 0)) {
+      collapseCountry(country);
+    } else {
+      relocateCapital(country, tiles);
+      logEvent('capital_moved', `${country.name} moved its capital to ${capitalSettlement(country).name}.`);
+    }
+  }
+}
+
+// Part of the tribe leaves for open land next to its own. Without any, nobody
+// leaves.
+function splitTribe(tribe, tiles) {
+  let site = null;
+  for (const terr of tribe.territories) {
+    site = tileNeighbors(terr.x, terr.y).find(n => {
+      const tile = getTileAt(tiles, n.x, n.y);
+      return tile.isLand && tile.habitability > 0.3 && !getTileOwner(n.x, n.y);
+    });
+    if (site) break;
+  }
+  if (!site) return;
+  
+  const newPopulation = Math.floor(tribe.population * 0.4);
+  killPopulation(tribe, newPopulation);
+  
+  const newTribe = new Tribe(
+    gameState.nextTribeId++,
+    site.x,
+    site.y,
+    newPopulation,
+    worldRng
+  );
+  
+  newTribe.culture = tribe.culture; // Inherit culture
+  newTribe.techs = [...tribe.techs];
+  
+  addTribe(newTribe);
+  claimTile(newTribe, site.x, site.y);
+  tilePopulation[tileIndex(site.x, site.y)] = newPopulation;
+  newTribe.population = sumPopulation(newTribe);
+  carryInfection(tileIndex(tribe.x, tribe.y), tileIndex(site.x, site.y));
+  
+  // New tribe migrates immediately
+  newTribe.migrationCooldown = 0;
+}
+
+function checkTribeMergers(tiles) {
+  // Tribes camped on the same tile, found in one pass
+  const tribeAt = new Map();
+  
+  for (const t2 of gameState.tribes) {
+    const key = tileIndex(t2.x, t2.y);
+    const t1 = tribeAt.get(key);
+    
+    if (!t1) {
+      tribeAt.set(key, t2);
+      continue;
+    }
+    
+    // Check if compatible (same culture or both very small)
+    if (t1.culture === t2.culture || (t1.population < 100 && t2.population < 100)) {
+      // Merge into larger tribe
+      const [survivor, absorbed] = t1.population >= t2.population ? [t1, t2] : [t2, t1];
+      transferAllTiles(absorbed, survivor);
+      removeTribe(absorbed);
+      return; // Only one merge per tick
+    }
+  }
+}
+
+// ============================================
+// ECONOMY & TRADE
+// ============================================
+
+const RESOURCE_TYPES = ['food', 'wood', 'stone', 'metal'];
+
+const ECONOMY = {
+  // Yearly output per unit of the tile's foodPotential / wood / stone / metals
+  yields: { food: 15, wood: 3, stone: 2, metal: 1.5 },
+  foodPerPerson: 0.01,
+  stockpileYears: 10, // stockpiles are capped at this many years of income
+  expansionCost: { food: 15, wood: 8 }, // per tile claimed
+  techCost: { food: 40, stone: 15, metal: 5 }, // per 100 research points of the technology
+  armyPerTile: 1, // peacetime army size; doubled while at war
+  armyShare: 0.5, // most of the population that can be under arms
+  armyCost: { metal: 1, wood: 1 }, // to raise one unit
+  armyUpkeep: 0.5, // food per unit per year
+  tradeShare: 0.1, // fraction of the per-tile stockpile gap a route evens out each year
+  tradeCapacity: 20 // most of any one resource a route carries per year
+};
+
+class TradeRoute {
+  constructor(a, b, year) {
+    this.a = a.id; // country ids
+    this.b = b.id;
+    this.since = year;
+    this.volume = 0; // goods moved last year
+  }
+}
+
+function scaleCost(cost, times) {
+  const scaled = {};
+  for (const r in cost) scaled[r] = cost[r] * times;
+  return scaled;
+}
+
+// How many times the country could pay this cost out of its stockpile
+function affordableCount(country, cost) {
+  let count = Infinity;
+  for (const r in cost) {
+    count = Math.min(count, Math.floor(country.resources[r] / cost[r]));
+  }
+  return count;
+}
+
+// Deducts the cost if the country can pay all of it. Returns whether it did.
+function spendResources(country, cost) {
+  if (affordableCount(country, cost) < 1) return false;
+  for (const r in cost) country.resources[r] -= cost[r];
+  return true;
+}
+
+function updateEconomy(country, tiles) {
+  const income = { food: 0, wood: 0, stone: 0, metal: 0 };
+  
+  for (const terr of country.territories) {
+    const tile = getTileAt(tiles, terr.x, terr.y);
+    income.food += tile.foodPotential * ECONOMY.yields.food;
+    income.wood += tile.wood * ECONOMY.yields.wood;
+    income.stone += tile.stone * ECONOMY.yields.stone;
+    income.metal += tile.metals * ECONOMY.yields.metal;
+  }
+  
+  for (const r of RESOURCE_TYPES) {
+    income[r] *= 1 + techYield(country, r);
+    country.resources[r] += income[r];
+  }
+  country.income = income;
+  
+  // Feed the people and the army
+  const foodDemand = country.population * ECONOMY.foodPerPerson + country.army * ECONOMY.armyUpkeep;
+  country.resources.food -= foodDemand;
+  
+  if (country.resources.food < 0) {
+    country.resources.food = 0;
+    if (!country.famine) {
+      logEvent('famine', `Famine strikes ${country.name}!`);
+    }
+    country.famine = true;
+    country.army = Math.floor(country.army * 0.9); // Hungry soldiers desert
+  } else {
+    country.famine = false;
+  }
+  
+  // Raise troops with spare metal and wood
+  const armyTarget = Math.min(
+    country.territories.length * ECONOMY.armyPerTile * (country.atWar ? 2 : 1),
+    Math.floor(country.population * ECONOMY.armyShare)
+  );
+  const recruits = Math.min(armyTarget - country.army, affordableCount(country, ECONOMY.armyCost));
+  if (recruits > 0) {
+    spendResources(country, scaleCost(ECONOMY.armyCost, recruits));
+    country.army += recruits;
+  }
+  
+  // Goods rot and rust; stockpiles only cover so many years
+  for (const r of RESOURCE_TYPES) {
+    const cap = Math.max(income[r], 1) * ECONOMY.stockpileYears * (1 + techEffect(country, 'storage'));
+    country.resources[r] = Math.min(country.resources[r], cap);
+  }
+}
+
+function mercantile(country) {
+  const culture = getCulture(country.culture);
+  return culture ? culture.traits.mercantile : 0.5;
+}
+
+function hasTradeRoute(a, b) {
+  return gameState.tradeRoutes.some(r =>
+    (r.a === a.id && r.b === b.id) || (r.a === b.id && r.b === a.id)
+  );
+}
+
+function formTradeRoutes(country) {
+  for (const neighbor of getNeighborEntities(country)) {
+    if (!(neighbor instanceof Country)) continue;
+    if (hasTradeRoute(country, neighbor) || areAtWar(country, neighbor)) continue;
+    if (getRelation(country, neighbor) < -25) continue;
+    
+    // Diplomatic leaders and mercantile peoples on both sides make a deal more likely
+    const willingness = (country.leader.traits.diplomacy + neighbor.leader.traits.diplomacy) / 2 +
+      (mercantile(country) + mercantile(neighbor) - 1) * 0.2;
+    if (worldRng.next() < willingness * 0.5) {
+      gameState.tradeRoutes.push(new TradeRoute(country, neighbor, gameState.year));
+      logEvent('trade', `${country.name} opened a trade route with ${neighbor.name}.`);
+    }
+  }
+}
+
+// Each route moves goods from whichever partner has more per tile to the one
+// with less, so surpluses flow toward shortages
+function updateTrade() {
+  for (let i = gameState.tradeRoutes.length - 1; i >= 0; i--) {
+    const route = gameState.tradeRoutes[i];
+    const a = getCountryById(route.a);
+    const b = getCountryById(route.b);
+    
+    if (!a || !b) {
+      gameState.tradeRoutes.splice(i, 1);
+      continue;
+    }
+    
+    if (areAtWar(a, b)) {
+      gameState.tradeRoutes.splice(i, 1);
+      logEvent('trade', `War closed the trade route between ${a.name} and ${b.name}.`);
+      continue;
+    }
+    
+    const aTiles = Math.max(1, a.territories.length);
+    const bTiles = Math.max(1, b.territories.length);
+    const capacity = ECONOMY.tradeCapacity * (1 + (techEffect(a, 'trade') + techEffect(b, 'trade')) / 2);
+    route.volume = 0;
+    
+    for (const r of RESOURCE_TYPES) {
+      const gap = a.resources[r] / aTiles - b.resources[r] / bTiles;
+      const amount = Math.min(capacity, Math.abs(gap) * Math.min(aTiles, bTiles) * ECONOMY.tradeShare);
+      const [from, to] = gap > 0 ? [a, b] : [b, a];
+      
+      from.resources[r] -= amount;
+      to.resources[r] += amount;
+      route.volume += amount;
+    }
+  }
+}
+
+// ============================================
+// TECHNOLOGY
+// ============================================
+
+// cost is in research points. requires lists what the researcher's land must
+// include: a tile with at least that much of a resource, a river or a coast.
+// Effects add up over every known technology:
+//   growth, research, military, defense, trade, storage - fractional bonuses
+//   health - fractional cut in epidemic deaths
+//   yields - fractional bonus per resource
+//   seaRange - how many ocean tiles expansion can cross
+const TECHNOLOGIES = {
+  agriculture: {
+    name: 'Agriculture', prereqs: [], cost: 60,
+    effects: { growth: 0.2, yields: { food: 0.2 } }
+  },
+  pottery: {
+    name: 'Pottery', prereqs: ['agriculture'], cost: 120,
+    effects: { storage: 0.5 }
+  },
+  animal_husbandry: {
+    name: 'Animal Husbandry', prereqs: ['agriculture'], cost: 120,
+    effects: { military: 0.1, yields: { food: 0.1 } }
+  },
+  masonry: {
+    name: 'Masonry', prereqs: [], cost: 120, requires: { stone: 0.3 },
+    effects: { defense: 0.2, yields: { stone: 0.3 } }
+  },
+  bronze_working: {
+    name: 'Bronze Working', prereqs: ['agriculture'], cost: 180, requires: { metals: 0.2 },
+    effects: { military: 0.3, yields: { metal: 0.3 } }
+  },
+  sailing: {
+    name: 'Sailing', prereqs: ['pottery'], cost: 200, requires: { coast: true },
+    effects: { seaRange: 3, trade: 0.25 }
+  },
+  writing: {
+    name: 'Writing', prereqs: ['pottery'], cost: 250,
+    effects: { research: 0.25 }
+  },
+  horseback_riding: {
+    name: 'Horseback Riding', prereqs: ['animal_husbandry'], cost: 250,
+    effects: { military: 0.2 }
+  },
+  irrigation: {
+    name: 'Irrigation', prereqs: ['agriculture', 'masonry'], cost: 300, requires: { river: true },
+    effects: { growth: 0.2, yields: { food: 0.2 } }
+  },
+  iron_working: {
+    name: 'Iron Working', prereqs: ['bronze_working'], cost: 400, requires: { metals: 0.4 },
+    effects: { military: 0.4, yields: { metal: 0.3 } }
+  },
+  currency: {
+    name: 'Currency', prereqs: ['writing', 'bronze_working'], cost: 400,
+    effects: { trade: 0.5 }
+  },
+  mathematics: {
+    name: 'Mathematics', prereqs: ['writing'], cost: 400,
+    effects: { research: 0.25 }
+  },
+  medicine: {
+    name: 'Medicine', prereqs: ['writing', 'animal_husbandry'], cost: 500,
+    effects: { growth: 0.1, health: 0.4 }
+  },
+  engineering: {
+    name: 'Engineering', prereqs: ['masonry', 'mathematics'], cost: 600,
+    effects: { defense: 0.3, health: 0.2, yields: { wood: 0.2, stone: 0.2 } }
+  },
+  navigation: {
+    name: 'Navigation', prereqs: ['sailing', 'mathematics'], cost: 700,
+    effects: { seaRange: 8, trade: 0.25 }
+  }
+};
+
+const RESEARCH = {
+  rate: 0.004, // points per year per square root of population
+  neighborBonus: 0.1, // extra research per neighboring country to trade ideas with
+  tradeDiffusion: 0.02, // yearly chance to pick up each technology a trade partner knows
+  borderDiffusion: 0.005 // the same for any other neighboring country
+};
+
+function knowsTech(entity, id) {
+  return entity.techs.includes(id);
+}
+
+function learnTech(entity, id) {
+  if (!knowsTech(entity, id)) entity.techs.push(id);
+}
+
+function techEffect(entity, key) {
+  let total = 0;
+  for (const id of entity.techs) {
+    total += TECHNOLOGIES[id].effects[key] || 0;
+  }
+  return total;
+}
+
+function techYield(entity, resource) {
+  let total = 0;
+  for (const id of entity.techs) {
+    const yields = TECHNOLOGIES[id].effects.yields;
+    if (yields && yields[resource]) total += yields[resource];
+  }
+  return total;
+}
+
+function tileMeetsRequirements(tile, requires) {
+  for (const key in requires) {
+    if (key === 'river') {
+      if (tile.riverPresence === 'none') return false;
+    } else if (key === 'coast') {
+      if (tile.distanceToCoast > 1.5) return false;
+    } else if (tile[key] < requires[key]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function canResearch(entity, id, tiles) {
+  const tech = TECHNOLOGIES[id];
+  if (knowsTech(entity, id)) return false;
+  if (!tech.prereqs.every(p => knowsTech(entity, p))) return false;
+  if (!tech.requires) return true;
+  
+  return entity.territories.some(terr =>
+    tileMeetsRequirements(getTileAt(tiles, terr.x, terr.y), tech.requires)
+  );
+}
+
+// Bigger populations and more neighbors to learn from research faster; the
+// finished technology still has to be paid for out of the stockpile
+function updateResearch(country, tiles, neighbors) {
+  if (country.famine) return; // Hungry people don't invent
+  
+  if (!country.researching || !canResearch(country, country.researching, tiles)) {
+    const options = Object.keys(TECHNOLOGIES).filter(id => canResearch(country, id, tiles));
+    country.researching = options.length > 0 ? options[Math.floor(worldRng.next() * options.length)] : null;
+    country.research = 0;
+    if (!country.researching) return;
+  }
+  
+  const tech = TECHNOLOGIES[country.researching];
+  const speed = 1 + techEffect(country, 'research') + neighbors.length * RESEARCH.neighborBonus;
+  country.research = Math.min(tech.cost, country.research + Math.sqrt(country.population) * RESEARCH.rate * speed);
+  
+  if (country.research >= tech.cost && spendResources(country, scaleCost(ECONOMY.techCost, tech.cost / 100))) {
+    learnTech(country, country.researching);
+    logEvent('tech', `${country.name} discovered ${tech.name}.`);
+    country.researching = null;
+    country.research = 0;
+  }
+}
+
+// Technology spreads to countries that could have researched it themselves,
+// faster along trade routes than across plain borders
+function diffuseTechnology(country, tiles, neighbors) {
+  for (const neighbor of neighbors) {
+    const chance = hasTradeRoute(country, neighbor) ? RESEARCH.tradeDiffusion : RESEARCH.borderDiffusion;
+    
+    for (const id of neighbor.techs) {
+      if (!canResearch(country, id, tiles) || worldRng.next() >= chance) continue;
+      
+      learnTech(country, id);
+      logEvent('tech', `${country.name} learned ${TECHNOLOGIES[id].name} from ${neighbor.name}.`);
+      if (country.researching === id) {
+        country.researching = null;
+        country.research = 0;
+      }
+    }
+  }
+}
+
+// Land on the far side of open water, straight across in each direction, with
+// at most `range` ocean tiles in between. `crossing` is how many there are.
+function overseaLandings(x, y, range, tiles) {
+  const landings = [];
+  const directions = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+  
+  for (const [dx, dy] of directions) {
+    for (let step = 1; step <= range + 1; step++) {
+      const nx = (x + dx * step + TILE_WIDTH * step) % TILE_WIDTH;
+      const ny = y + dy * step;
+      if (ny < 0 || ny >= TILE_HEIGHT) break;
+      
+      if (getTileAt(tiles, nx, ny).isLand) {
+        if (step > 1) landings.push({ x: nx, y: ny, crossing: step - 1 });
+        break;
+      }
+    }
+  }
+  
+  return landings;
+}
+
+// ============================================
+// EXPLORATION
+// ============================================
+
+// Each connected body of land is a landmass, numbered by labelLandmasses.
+// Seafaring countries send ships straight out from their coasts; every ocean
+// tile crossed risks the ship, less so the better their seamanship. A ship
+// that makes landfall names an unknown landmass, and on empty habitable land
+// may leave colonists behind. Colonies are ordinary territories of the parent
+// country. Coastal tribes now and then chance a short crossing on rafts.
+// Peoples from different landmasses who first border each other, or meet on
+// landfall, make first contact.
+
+const EXPLORATION = {
+  voyageChance: 0.05, // yearly chance a seafaring country sends out a ship
+  voyageReach: 4, // times seaRange, ocean tiles a ship can cross
+  shipLoss: 0.05, // chance per ocean tile of losing the ship at seaRange 3, lower with more
+  colonists: 50, // people who leave home to found a colony
+  colonyCost: { food: 40, wood: 30 },
+  minHabitability: 0.3, // for a colony site
+  raftChance: 0.02, // per migration of a coastal tribe
+  raftRange: 2, // ocean tiles a raft can cross
+  raftLoss: 0.15, // chance per ocean tile the crossing goes wrong
+  raftDeaths: 0.2, // share of the tribe lost when it does
+  contactYears: 10 // how often borders are checked for first contacts
+};
+
+const VOYAGE_DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+function isCoastal(tile) {
+  return tile.isLand && tile.distanceToCoast < 1.5;
+}
+
+// Unnamed landmasses take a name in the language of whoever needs one first
+function landmassName(id, culture) {
+  if (!gameState.landmassNames[id]) {
+    gameState.landmassNames[id] = culture !== null ? generatePlaceName(culture, worldRng) : 'the Unknown Land';
+  }
+  return gameState.landmassNames[id];
+}
+
+function homeLandmass(entity, tiles) {
+  const x = entity instanceof Country ? entity.capitalX : entity.x;
+  const y = entity instanceof Country ? entity.capitalY : entity.y;
+  return getTileAt(tiles, x, y).landmass;
+}
+
+// Logs once per pair of landmasses
+function makeContact(a, b, tiles) {
+  const la = homeLandmass(a, tiles);
+  const lb = homeLandmass(b, tiles);
+  if (la === lb || la < 0 || lb < 0) return;
+  
+  const key = la < lb ? `${la}:${lb}` : `${lb}:${la}`;
+  if (gameState.contacts.includes(key)) return;
+  
+  gameState.contacts.push(key);
+  logEvent('contact', `First contact: ${describeOwner(a)} of ${landmassName(la, a.culture)} ` +
+    `met ${describeOwner(b)} of ${landmassName(lb, b.culture)}.`);
+}
+
+// Sails straight out from a random stretch of coast. Returns the landfall
+// { x, y, crossing } or null if the ship was lost or found only open sea.
+function sailFrom(country, tiles) {
+  const seaRange = techEffect(country, 'seaRange');
+  const coasts = country.territories.filter(t => isCoastal(getTileAt(tiles, t.x, t.y)));
+  if (coasts.length === 0) return null;
+  
+  const start = pickRandom(coasts, worldRng);
+  const [dx, dy] = pickRandom(VOYAGE_DIRECTIONS, worldRng);
+  const reach = seaRange * EXPLORATION.voyageReach;
+  const loss = EXPLORATION.shipLoss * 3 / seaRange;
+  
+  for (let step = 1; step <= reach + 1; step++) {
+    const x = (start.x + dx * step + TILE_WIDTH * step) % TILE_WIDTH;
+    const y = start.y + dy * step;
+    if (y < 0 || y >= TILE_HEIGHT) return null;
+    
+    if (getTileAt(tiles, x, y).isLand) {
+      return step > 1 ? { x, y, crossing: step - 1 } : null;
+    }
+    
+    if (worldRng.next() < loss) {
+      if (step > 3) logEvent('shipwreck', `A ship from ${country.name} was lost at sea.`);
+      return null;
+    }
+  }
+  return null;
+}
+
+function foundColony(country, x, y, tiles) {
+  if (affordableCount(country, EXPLORATION.colonyCost) < 1) return;
+  if (sumPopulation(country) < EXPLORATION.colonists * 4) return;
+  
+  spendResources(country, EXPLORATION.colonyCost);
+  killPopulation(country, EXPLORATION.colonists); // they leave rather than die
+  claimTile(country, x, y);
+  tilePopulation[tileIndex(x, y)] = EXPLORATION.colonists;
+  country.population = sumPopulation(country);
+  
+  const place = isNearSettlement(x, y) ? null : foundSettlement(x, y, country.culture, worldRng);
+  const land = landmassName(getTileAt(tiles, x, y).landmass, country.culture);
+  logEvent('colony', place
+    ? `${country.name} founded the colony of ${place.name} on ${land}.`
+    : `${country.name} founded a colony on ${land}.`);
+}
+
+function launchVoyage(country, tiles) {
+  const landfall = sailFrom(country, tiles);
+  if (!landfall) return;
+  
+  const tile = getTileAt(tiles, landfall.x, landfall.y);
+  if (tile.landmass !== homeLandmass(country, tiles) && !gameState.landmassNames[tile.landmass]) {
+    logEvent('discovery', `Sailors from ${country.name} discovered ${landmassName(tile.landmass, country.culture)}.`);
+  }
+  
+  const owner = getTileOwner(landfall.x, landfall.y);
+  if (owner) {
+    if (owner !== country) makeContact(country, owner, tiles);
+  } else if (tile.habitability > EXPLORATION.minHabitability) {
+    foundColony(country, landfall.x, landfall.y, tiles);
+  }
+}
+
+// A coastal tribe on the move may try for land across the water. Returns the
+// landing to move to, or null to stay on this shore.
+function raftCrossing(tribe, tiles) {
+  if (!isCoastal(getTileAt(tiles, tribe.x, tribe.y)) || worldRng.next() >= EXPLORATION.raftChance) return null;
+  
+  const landings = overseaLandings(tribe.x, tribe.y, EXPLORATION.raftRange, tiles)
+    .filter(l => !getTileOwner(l.x, l.y) && getTileAt(tiles, l.x, l.y).habitability > EXPLORATION.minHabitability);
+  if (landings.length === 0) return null;
+  
+  const landing = pickRandom(landings, worldRng);
+  if (worldRng.next() < 1 - Math.pow(1 - EXPLORATION.raftLoss, landing.crossing)) {
+    killPopulation(tribe, tribe.population * EXPLORATION.raftDeaths);
+    return null;
+  }
+  return landing;
+}
+
+function checkFirstContacts(tiles) {
+  if (gameState.year % EXPLORATION.contactYears !== 0) return;
+  
+  for (const entity of [...gameState.countries, ...gameState.tribes]) {
+    for (const neighbor of getNeighborEntities(entity)) {
+      makeContact(entity, neighbor, tiles);
+    }
+  }
+}
+
+function updateExploration(tiles) {
+  for (const country of gameState.countries) {
+    if (techEffect(country, 'seaRange') > 0 && worldRng.next() < EXPLORATION.voyageChance) {
+      launchVoyage(country, tiles);
+    }
+  }
+  checkFirstContacts(tiles);
+}
+
+// ============================================
+// GOVERNMENT
+// ============================================
+
+// expansionInterval - years between expansion attempts
+// warChance - yearly chance to look for a war
+// stability - where stability settles in untroubled times
+// span - tiles the government can hold before it strains
+// succession - law from SUCCESSION_LAWS; crisisChance scales how often an
+//   inheritance is disputed, termLength ends elected rulers' time in office
+const GOVERNMENTS = {
+  chiefdom: {
+    title: 'Chiefdom', expansionInterval: 15, warChance: 0.03, stability: 0.55, span: 20,
+    succession: 'tanistry', crisisChance: 0.12, termLength: null
+  },
+  kingdom: {
+    title: 'Kingdom', expansionInterval: 12, warChance: 0.03, stability: 0.65, span: 80,
+    succession: 'primogeniture', crisisChance: 0.06, termLength: null
+  },
+  empire: {
+    title: 'Empire', expansionInterval: 8, warChance: 0.045, stability: 0.55, span: 250,
+    succession: 'primogeniture', crisisChance: 0.1, termLength: null
+  },
+  republic: {
+    title: 'Republic', expansionInterval: 18, warChance: 0.015, stability: 0.7, span: 100,
+    succession: 'elective', crisisChance: 0, termLength: 20
+  },
+  theocracy: {
+    title: 'Theocracy', expansionInterval: 15, warChance: 0.035, stability: 0.7, span: 60,
+    succession: 'appointed', crisisChance: 0.03, termLength: null
+  },
+  federation: {
+    title: 'Federation', expansionInterval: 24, warChance: 0.01, stability: 0.6, span: 400,
+    succession: 'elective', crisisChance: 0, termLength: 25
+  }
+};
+
+// Checked every GOVERNMENT_CHECK_YEARS in order; the first that applies (and
+// passes its roll) happens. Reforms are peaceful, revolutions replace the ruler.
+const GOVERNMENT_CHANGES = [
+  {
+    from: ['chiefdom', 'kingdom', 'empire', 'theocracy'], to: 'republic', kind: 'revolution',
+    when: c => c.stability < 0.3 && knowsTech(c, 'writing')
+  },
+  {
+    from: ['chiefdom', 'kingdom'], to: 'theocracy', kind: 'revolution',
+    when: c => c.stability < 0.3 && !knowsTech(c, 'writing')
+  },
+  {
+    from: ['republic', 'federation'], to: 'empire', kind: 'revolution',
+    when: c => c.stability < 0.35 && c.atWar && c.leader.traits.ambition > 0.7
+  },
+  {
+    from: ['chiefdom'], to: 'kingdom', kind: 'reform',
+    when: c => c.territories.length >= 12 && knowsTech(c, 'agriculture') && c.stability > 0.4
+  },
+  {
+    from: ['kingdom', 'theocracy'], to: 'empire', kind: 'reform',
+    when: c => c.territories.length >= 80 && c.leader.traits.ambition > 0.6 && c.stability > 0.5
+  },
+  {
+    from: ['empire'], to: 'federation', kind: 'reform',
+    when: c => c.territories.length >= 150 && c.stability < 0.45 && c.leader.traits.diplomacy > 0.6
+  },
+  {
+    from: ['republic'], to: 'federation', kind: 'reform',
+    when: c => c.territories.length >= 100 && c.leader.traits.diplomacy > 0.6
+  },
+  {
+    from: ['theocracy'], to: 'kingdom', kind: 'reform',
+    when: c => knowsTech(c, 'mathematics') && c.stability > 0.6
+  }
+];
+
+const GOVERNMENT_CHECK_YEARS = 10;
+const REFORM_CHANCE = 0.3;
+const REVOLUTION_CHANCE = 0.25;
+
+// Stability drifts toward what the government, its size, wars, famine, unrest and
+// the ruler's diplomacy allow
+function updateStability(country) {
+  const gov = GOVERNMENTS[country.government];
+  let target = gov.stability;
+  
+  if (country.atWar) target -= 0.15;
+  if (country.famine) target -= 0.2;
+  target -= Math.min(0.3, Math.max(0, country.territories.length - gov.span) / gov.span * 0.3);
+  target += (country.leader.traits.diplomacy - 0.5) * 0.2;
+  
+  // Far-flung provinces, foreign subjects and a long war all breed unrest
+  const unrest = unrestFactors(country);
+  target -= Math.min(0.2, unrest.distance * 0.1);
+  target -= unrest.foreign * 0.25;
+  target -= unrest.exhaustion * 0.3;
+  
+  target = Math.max(0, Math.min(1, target));
+  country.stability += (target - country.stability) * 0.1;
+}
+
+// Country names end in their form of government; a new government takes its title
+function retitleCountry(country) {
+  const words = country.name.split(' ');
+  words[words.length - 1] = GOVERNMENTS[country.government].title;
+  const title = words.join(' ');
+  country.name = title;
+  
+  // Sister states of one culture would otherwise end up sharing a name
+  const taken = name => gameState.countries.some(c => c !== country && c.name === name);
+  for (const prefix of ['New', 'Greater', 'Upper', 'Lower', 'Free']) {
+    if (!taken(country.name)) break;
+    country.name = `${prefix} ${title}`;
+  }
+}
+
+function changeGovernment(country, change) {
+  const oldName = country.name;
+  country.government = change.to;
+  retitleCountry(country);
+  
+  if (change.kind === 'revolution') {
+    crownLeader(country, generateLeader(country.culture, worldRng), 'overthrown');
+    country.stability = 0.5;
+    logEvent('revolution', `Revolution in ${oldName}! ${country.leader.name} leads the new ${country.name}.`);
+  } else {
+    country.stability = Math.max(0, country.stability - 0.05);
+    logEvent('reform', `${oldName} reformed into the ${country.name}.`);
+  }
+}
+
+function checkGovernmentChange(country) {
+  for (const change of GOVERNMENT_CHANGES) {
+    if (!change.from.includes(country.government) || !change.when(country)) continue;
+    
+    const chance = change.kind === 'revolution' ? REVOLUTION_CHANCE : REFORM_CHANCE;
+    if (worldRng.next() < chance) {
+      changeGovernment(country, change);
+    }
+    return;
+  }
+}
+
+// ============================================
+// DYNASTIES & SUCCESSION
+// ============================================
+
+// How each government's succession law picks the next ruler
+//   primogeniture - the eldest child inherits, even as a minor
+//   tanistry - the house chooses a grown kinsman
+//   elective - an election, usually won by someone from another house
+//   appointed - a council or clergy names a successor from outside the house
+const SUCCESSION_LAWS = {
+  primogeniture: { dynastic: true, adultHeir: false },
+  tanistry: { dynastic: true, adultHeir: true },
+  elective: { dynastic: false, adultHeir: true },
+  appointed: { dynastic: false, adultHeir: true }
+};
+
+const ADULT_AGE = 16;
+const REGENCY_CRISIS_CHANCE = 0.1; // extra chance of a dispute when a child inherits
+
+// Yearly chance of dying, rising steeply with age
+function leaderDeathChance(age) {
+  return 0.002 * Math.exp((age - 30) / 10);
+}
+
+// Archives the current ruler in the country's history and installs the next
+function crownLeader(country, leader, fate) {
+  const old = country.leader;
+  country.rulers.push({
+    name: old.name,
+    dynasty: old.dynasty,
+    start: gameState.year - old.yearsInPower,
+    end: gameState.year,
+    fate // 'died', 'term' or 'overthrown'
+  });
+  country.leader = leader;
+}
+
+function chooseSuccessor(country) {
+  const law = SUCCESSION_LAWS[GOVERNMENTS[country.government].succession];
+  const successor = generateLeader(country.culture, worldRng, law.dynastic ? country.leader : null);
+  
+  if (law.adultHeir && successor.age < ADULT_AGE) {
+    successor.age = Math.floor(worldRng.range(ADULT_AGE, 40));
+  }
+  return successor;
+}
+
+// Replaces the ruler the way the government's succession law prescribes. An
+// inheritance may be disputed by a pretender from a rival house, who either
+// takes the throne or splits the country in a civil war.
+function succeedLeader(country, reason, tiles) {
+  const gov = GOVERNMENTS[country.government];
+  const oldLeader = country.leader.name;
+  const heir = chooseSuccessor(country);
+  
+  if (reason === 'term') {
+    crownLeader(country, heir, 'term');
+    logEvent('election', `${oldLeader}'s term in ${country.name} ended. ${heir.name} was elected.`);
+    return;
+  }
+  
+  let crisisChance = gov.crisisChance * (1.5 - country.stability);
+  if (heir.age < ADULT_AGE) crisisChance += REGENCY_CRISIS_CHANCE;
+  
+  if (worldRng.next() >= crisisChance) {
+    crownLeader(country, heir, 'died');
+    const verb = gov.succession === 'elective' ? 'was elected' : 'takes power';
+    logEvent('leader_change', `${oldLeader} of ${country.name} has died. ${heir.name} of House ${heir.dynasty} ${verb}.`);
+    return;
+  }
+  
+  const pretender = generateLeader(country.culture, worldRng);
+  const roll = worldRng.next();
+  
+  if (roll < 0.4 && canSplitCountry(country)) {
+    crownLeader(country, heir, 'died');
+    const size = Math.floor(country.territories.length * worldRng.range(0.25, 0.5));
+    const rebels = splitCountry(country, pretender, tiles, carveProvince(country, size));
+    logEvent('civil_war', `The succession of ${heir.name} in ${country.name} is disputed! ${pretender.name} of House ${pretender.dynasty} rose up and founded ${rebels.name}.`);
+  } else if (roll < 0.7) {
+    crownLeader(country, pretender, 'died');
+    country.stability = Math.max(0, country.stability - 0.2);
+    logEvent('succession', `${oldLeader} of ${country.name} died and ${pretender.name} of House ${pretender.dynasty} seized the throne from the heir.`);
+  } else {
+    crownLeader(country, heir, 'died');
+    country.stability = Math.max(0, country.stability - 0.1);
+    logEvent('succession', `${heir.name} of ${country.name} fought off a rival claim by ${pretender.name} of House ${pretender.dynasty}.`);
+  }
+}
+
+// ============================================
+// REBELLION & SECESSION
+// ============================================
+
+const ADMIN_REACH = 12; // tiles from the capital a government governs easily
+const ADMIN_REACH_PER_TECH = 2; // roads, writing and the like extend that
+const REBELLION_STABILITY = 0.3; // provinces only rise below this
+const REBELLION_CHANCE = 0.15; // yearly, scaled by how far below the threshold
+
+// Wrapped tile distance from the country's capital
+function capitalDistance(country, x, y) {
+  const dx = Math.abs(x - country.capitalX);
+  return Math.min(dx, TILE_WIDTH - dx) + Math.abs(y - country.capitalY);
+}
+
+// Each factor is 0 for a compact, homogeneous country at peace:
+//   distance - average distance of its land from the capital, in admin reaches
+//   foreign - share of its people of other cultures, kin counting half
+//   exhaustion - war weariness of its side in its most draining war, 0-1
+function unrestFactors(country) {
+  const reach = ADMIN_REACH + country.techs.length * ADMIN_REACH_PER_TECH;
+  let distance = 0;
+  
+  for (const terr of country.territories) {
+    distance += capitalDistance(country, terr.x, terr.y);
+  }
+  
+  const tiles = Math.max(1, country.territories.length);
+  let exhaustion = 0;
+  for (const war of gameState.wars) {
+    if (war.attackers.includes(country.id)) exhaustion = Math.max(exhaustion, war.attackerExhaustion);
+    if (war.defenders.includes(country.id)) exhaustion = Math.max(exhaustion, war.defenderExhaustion);
+  }
+  
+  return {
+    distance: distance / tiles / reach,
+    foreign: country.minorities.reduce((sum, m) => sum + m.share * (1 - culturalAffinity(m.culture, country.culture)), 0),
+    exhaustion: Math.min(1, exhaustion / 100)
+  };
+}
+
+// The largest foreign people in the country, if it is the majority on enough
+// land to rise
+function restlessCulture(country) {
+  const counts = new Map();
+  for (const terr of country.territories) {
+    const culture = dominantCulture(terr.x, terr.y);
+    if (culture !== null && culture !== country.culture) counts.set(culture, (counts.get(culture) || 0) + 1);
+  }
+  
+  let best = null;
+  for (const [culture, count] of counts) {
+    if (count >= 3 && (best === null || count > counts.get(best))) best = culture;
+  }
+  return best;
+}
+
+// An unstable country may lose a province: a foreign people rising for
+// independence if it has one, otherwise the regions farthest from the capital
+function checkRebellion(country, tiles) {
+  if (country.stability >= REBELLION_STABILITY || !canSplitCountry(country)) return;
+  if (worldRng.next() >= (REBELLION_STABILITY - country.stability) * REBELLION_CHANCE / REBELLION_STABILITY) return;
+  
+  const culture = restlessCulture(country);
+  const size = Math.floor(country.territories.length * worldRng.range(0.15, 0.4));
+  const province = carveProvince(country, size, culture);
+  if (province.length < 2) return;
+  
+  const rebelCulture = culture !== null ? culture : country.culture;
+  const rebelLeader = generateLeader(rebelCulture, worldRng);
+  const rebels = splitCountry(country, rebelLeader, tiles, province, rebelCulture);
+  
+  if (culture !== null) {
+    logEvent('rebellion', `The ${cultureName(culture)} people rose against ${country.name} and declared the independent ${rebels.name}!`);
+  } else {
+    logEvent('rebellion', `Distant provinces of ${country.name} broke away as ${rebels.name} under ${rebelLeader.name}!`);
+  }
+}
+
+// A split needs enough land for both halves and no other war in the way
+function canSplitCountry(country) {
+  return !country.atWar && country.territories.length >= 8;
+}
+
+// A connected block of up to `size` tiles, grown from the tile farthest from
+// the capital and never including the capital itself. Given a culture, only
+// that people's land is taken.
+function carveProvince(country, size, culture = null) {
+  const inProvince = (x, y) => !isCapital(country, x, y) &&
+    (culture === null || dominantCulture(x, y) === culture);
+  
+  let start = null;
+  for (const terr of country.territories) {
+    if (!inProvince(terr.x, terr.y)) continue;
+    if (!start || capitalDistance(country, terr.x, terr.y) > capitalDistance(country, start.x, start.y)) {
+      start = terr;
+    }
+  }
+  if (!start) return [];
+  
+  const province = [start];
+  const seen = new Set([tileIndex(start.x, start.y)]);
+  
+  for (let i = 0; i < province.length && province.length < size; i++) {
+    for (const n of tileNeighbors(province[i].x, province[i].y)) {
+      const key = tileIndex(n.x, n.y);
+      if (seen.has(key) || !ownsTile(country, n.x, n.y) || !inProvince(n.x, n.y)) continue;
+      
+      seen.add(key);
+      province.push(n);
+      if (province.length >= size) break;
+    }
+  }
+  
+  return province;
+}
+
+// Breaks a province off the country under a new ruler, who must then hold it in
+// a civil war against the old government. Returns the breakaway state.
+function splitCountry(country, leader, tiles, province, culture = country.culture) {
+  const rebels = new Country(
+    gameState.nextCountryId++,
+    generateCountryName(culture, country.government, worldRng),
+    province[0].x,
+    province[0].y,
+    generateColor(worldRng),
+    culture,
+    worldRng
+  );
+  
+  rebels.leader = leader;
+  rebels.techs = [...country.techs];
+  // A people breaking free starts over under its own chiefs
+  rebels.government = culture === country.culture ? country.government : 'chiefdom';
+  rebels.stability = 0.5;
+  retitleCountry(rebels);
+  
+  // Troops stationed in the province follow the rebels, and the province rises
+  // in arms behind them
+  const defectors = Math.floor(country.army * province.length / country.territories.length);
+  country.army -= defectors;
+  rebels.army = defectors + province.length * ECONOMY.armyPerTile;
+  
+  addCountry(rebels);
+  for (const terr of province) {
+    transferTile(country, rebels, terr.x, terr.y);
+  }
+  relocateCapital(rebels, tiles);
+  
+  // A shaky government fights its own people half-heartedly
+  const war = new War(gameState.nextWarId++, country, rebels, 'conquest', gameState.year);
+  war.attackerExhaustion = Math.round((1 - country.stability) * 50);
+  gameState.wars.push(war);
+  updateAtWarFlags();
+  
+  return rebels;
+}
+
+// ============================================
+// DIPLOMACY
+// ============================================
+
+class Treaty {
+  constructor(type, a, b, year) {
+    this.type = type; // 'alliance', 'pact' (non-aggression) or 'vassal' (a is the overlord)
+    this.a = a.id; // country ids
+    this.b = b.id;
+    this.since = year;
+  }
+}
+
+// Relations run from -100 (hatred) to 100 (friendship) and drift toward a target
+// set by what the two countries share; wars also leave a one-off scar
+const DIPLOMACY = {
+  drift: 0.05, // share of the gap to the target closed each year
+  border: -10, // neighbors quarrel over land
+  sharedCulture: 20,
+  trade: 15,
+  alliance: 20,
+  war: -60, // while fighting each other
+  warScar: -40, // when a war starts and again when it ends
+  diplomats: 40, // times how far the leaders' average diplomacy is above 0.5
+  allianceRelation: 25, // needed to sign an alliance
+  pactRelation: 10, // needed to sign a non-aggression pact
+  pactYears: 30,
+  vassalRatio: 3, // strength an overlord needs over a country that submits to it
+  freedomRatio: 1.5, // a vassal breaks free once its overlord falls below this
+  tribute: 0.1, // share of a vassal's income sent to its overlord
+  treatyYears: 10 // how often a country looks for new treaties
+};
+
+function relationKey(a, b) {
+  return a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+}
+
+function getRelation(a, b) {
+  return gameState.relations[relationKey(a, b)] || 0;
+}
+
+function changeRelation(a, b, delta) {
+  const key = relationKey(a, b);
+  gameState.relations[key] = Math.max(-100, Math.min(100, (gameState.relations[key] || 0) + delta));
+}
+
+function findTreaty(a, b, type) {
+  return gameState.treaties.find(t => t.type === type &&
+    ((t.a === a.id && t.b === b.id) || (t.a === b.id && t.b === a.id))
+  );
+}
+
+function treatyPartners(country, type) {
+  const partners = [];
+  for (const t of gameState.treaties) {
+    if (t.type !== type) continue;
+    if (t.a === country.id) partners.push(getCountryById(t.b));
+    else if (t.b === country.id) partners.push(getCountryById(t.a));
+  }
+  return partners.filter(Boolean);
+}
+
+function overlordOf(country) {
+  const treaty = gameState.treaties.find(t => t.type === 'vassal' && t.b === country.id);
+  return treaty ? getCountryById(treaty.a) : null;
+}
+
+function vassalsOf(country) {
+  return gameState.treaties
+    .filter(t => t.type === 'vassal' && t.a === country.id)
+    .map(t => getCountryById(t.b))
+    .filter(Boolean);
+}
+
+// Allies, pact partners, overlords and vassals don't attack each other
+function canAttack(country, target) {
+  return !findTreaty(country, target, 'alliance') &&
+    !findTreaty(country, target, 'pact') &&
+    !findTreaty(country, target, 'vassal');
+}
+
+function endTreaty(treaty) {
+  const index = gameState.treaties.indexOf(treaty);
+  if (index > -1) gameState.treaties.splice(index, 1);
+}
+
+function relationTarget(a, b, bordering) {
+  let target = 0;
+  if (bordering) target += DIPLOMACY.border;
+  target += culturalAffinity(a.culture, b.culture) * DIPLOMACY.sharedCulture;
+  if (hasTradeRoute(a, b)) target += DIPLOMACY.trade;
+  if (findTreaty(a, b, 'alliance')) target += DIPLOMACY.alliance;
+  if (areAtWar(a, b)) target += DIPLOMACY.war;
+  target += ((a.leader.traits.diplomacy + b.leader.traits.diplomacy) / 2 - 0.5) * DIPLOMACY.diplomats;
+  return target;
+}
+
+// Brings the defender's allies, overlord and vassals into a new war, and the
+// attacker's vassals and any allies willing to follow
+function callAllies(war) {
+  const attacker = getCountryById(war.attackers[0]);
+  const defender = getCountryById(war.defenders[0]);
+  
+  const join = (country, side, enemies, leader) => {
+    if (country.atWar || side.includes(country.id)) return;
+    if (enemies.some(id => !canAttack(country, getCountryById(id)))) return;
+    side.push(country.id);
+    country.atWar = true;
+    logEvent('war', `${country.name} joined the war on the side of ${leader.name}.`);
+  };
+  
+  const defenderFriends = [...treatyPartners(defender, 'alliance'), ...vassalsOf(defender)];
+  const defenderOverlord = overlordOf(defender);
+  if (defenderOverlord) defenderFriends.push(defenderOverlord);
+  for (const friend of defenderFriends) {
+    join(friend, war.defenders, war.attackers, defender);
+  }
+  
+  for (const vassal of vassalsOf(attacker)) {
+    join(vassal, war.attackers, war.defenders, attacker);
+  }
+  for (const ally of treatyPartners(attacker, 'alliance')) {
+    if (worldRng.next() < 0.5 + getRelation(attacker, ally) / 200) {
+      join(ally, war.attackers, war.defenders, attacker);
+    }
+  }
+}
+
+// Neighbors on good terms sign pacts and alliances; a weak, cautious neighbor
+// of a far stronger country may submit as its vassal
+function proposeTreaties(country, neighbors) {
+  if (overlordOf(country)) return; // Vassals have no foreign policy of their own
+  
+  for (const other of neighbors) {
+    if (overlordOf(other) || areAtWar(country, other)) continue;
+    
+    const relation = getRelation(country, other);
+    const willingness = (country.leader.traits.diplomacy + other.leader.traits.diplomacy) / 2;
+    
+    if (relation >= DIPLOMACY.allianceRelation && !findTreaty(country, other, 'alliance')) {
+      if (worldRng.next() < willingness * 0.5) {
+        const pact = findTreaty(country, other, 'pact');
+        if (pact) endTreaty(pact);
+        gameState.treaties.push(new Treaty('alliance', country, other, gameState.year));
+        logEvent('alliance', `${country.name} and ${other.name} formed an alliance.`);
+      }
+    } else if (relation >= DIPLOMACY.pactRelation && !findTreaty(country, other, 'pact') &&
+               !findTreaty(country, other, 'alliance')) {
+      if (worldRng.next() < willingness * 0.5) {
+        gameState.treaties.push(new Treaty('pact', country, other, gameState.year));
+        logEvent('treaty', `${country.name} and ${other.name} signed a non-aggression pact.`);
+      }
+    }
+    
+    if (relation > -20 && other.leader.traits.caution > 0.6 && vassalsOf(other).length === 0 &&
+        militaryStrength(country) >= militaryStrength(other) * DIPLOMACY.vassalRatio &&
+        worldRng.next() < 0.3) {
+      gameState.treaties.push(new Treaty('vassal', country, other, gameState.year));
+      logEvent('vassal', `${other.name} submitted to ${country.name} as a vassal.`);
+    }
+  }
+}
+
+function updateDiplomacy() {
+  // Forget countries that no longer exist
+  gameState.treaties = gameState.treaties.filter(t => getCountryById(t.a) && getCountryById(t.b));
+  if (gameState.year % DIPLOMACY.treatyYears === 0) {
+    for (const key in gameState.relations) {
+      const [a, b] = key.split(':').map(Number);
+      if (!getCountryById(a) || !getCountryById(b)) delete gameState.relations[key];
+    }
+  }
+  
+  const countries = gameState.countries;
+  const neighbors = new Map();
+  for (const country of countries) {
+    neighbors.set(country.id, getNeighborEntities(country).filter(e => e instanceof Country));
+  }
+  
+  // Relations drift toward their targets
+  for (let i = 0; i < countries.length; i++) {
+    const bordering = new Set(neighbors.get(countries[i].id));
+    for (let j = i + 1; j < countries.length; j++) {
+      const a = countries[i];
+      const b = countries[j];
+      const target = relationTarget(a, b, bordering.has(b));
+      changeRelation(a, b, (target - getRelation(a, b)) * DIPLOMACY.drift);
+    }
+  }
+  
+  for (const treaty of [...gameState.treaties]) {
+    const a = getCountryById(treaty.a);
+    const b = getCountryById(treaty.b);
+    const relation = getRelation(a, b);
+    
+    if (treaty.type === 'vassal') {
+      // Tribute flows up; the vassal breaks free when the overlord weakens or
+      // relations sour
+      for (const r of RESOURCE_TYPES) {
+        const tribute = b.income[r] * DIPLOMACY.tribute;
+        const paid = Math.min(b.resources[r], tribute);
+        b.resources[r] -= paid;
+        a.resources[r] += paid;
+      }
+      
+      if (militaryStrength(a) < militaryStrength(b) * DIPLOMACY.freedomRatio || relation < -30) {
+        endTreaty(treaty);
+        changeRelation(a, b, DIPLOMACY.warScar);
+        logEvent('independence', `${b.name} threw off the rule of ${a.name}.`);
+      }
+    } else if (treaty.type === 'alliance' && relation < 0) {
+      endTreaty(treaty);
+      logEvent('alliance', `The alliance between ${a.name} and ${b.name} has dissolved.`);
+    } else if (treaty.type === 'pact' && gameState.year - treaty.since >= DIPLOMACY.pactYears) {
+      endTreaty(treaty);
+    }
+  }
+  
+  for (const country of countries) {
+    if (country.age % DIPLOMACY.treatyYears === 0) {
+      proposeTreaties(country, neighbors.get(country.id));
+    }
+  }
+}
+
+// ============================================
+// SAVE / LOAD
+// ============================================
+
+// Terrain is fully determined by the seed and terrain mode, so a save only
+// records those and the simulation state layered on top of them, including the
+// RNG position.
+const SAVE_VERSION = 20;
+
+function serializeGame() {
+  return {
+    version: SAVE_VERSION,
+    seed: planetData.seed,
+    terrainMode: planetData.terrainMode,
+    planetName: planetData.name,
+    year: gameState.year,
+    rngState: [...worldRng.s],
+    nextEventId: gameState.nextEventId,
+    nextTribeId: gameState.nextTribeId,
+    nextCountryId: gameState.nextCountryId,
+    nextWarId: gameState.nextWarId,
+    tribes: gameState.tribes,
+    countries: gameState.countries,
+    wars: gameState.wars,
+    tradeRoutes: gameState.tradeRoutes,
+    relations: gameState.relations,
+    treaties: gameState.treaties,
+    nextCultureId: gameState.nextCultureId,
+    cultures: gameState.cultures,
+    nextSettlementId: gameState.nextSettlementId,
+    settlements: gameState.settlements,
+    nextEpidemicId: gameState.nextEpidemicId,
+    epidemics: gameState.epidemics,
+    landmassNames: gameState.landmassNames,
+    contacts: gameState.contacts,
+    climate: gameState.climate,
+    disasters: gameState.disasters,
+    tileEdits: gameState.tileEdits,
+    tileCultures: serializeTileCultures(),
+    tilePopulation: serializeTilePopulation(),
+    events: gameState.events
+  };
+}
+
+// [tile index, mix] for every inhabited tile, much smaller than the full grid
+function serializeTileCultures() {
+  const tiles = [];
+  tileCultureShares.forEach((mix, i) => {
+    if (mix) tiles.push([i, mix]);
+  });
+  return tiles;
+}
+
+function restoreGame(save) {
+  if (save.seed !== planetData.seed || save.terrainMode !== planetData.terrainMode) {
+    throw new Error('Save does not match the generated world');
+  }
+  
+  worldRng.s = [...save.rngState];
+  
+  // Tiles come back as generated, so bring them up to the saved terrain and
+  // climate
+  gameState.tileEdits = save.tileEdits;
+  restoreTileEdits(planetData.tiles);
+  gameState.climate = save.climate;
+  if (applyClimate(planetData.tiles).coastChanged) labelLandmasses(planetData.tiles);
+  gameState.disasters = save.disasters;
+  
+  gameState.year = save.year;
+  gameState.nextEventId = save.nextEventId;
+  gameState.nextTribeId = save.nextTribeId;
+  gameState.nextCountryId = save.nextCountryId;
+  gameState.nextWarId = save.nextWarId;
+  gameState.selectedEntity = null;
+  
+  gameState.tribes = save.tribes.map(t => Object.assign(Object.create(Tribe.prototype), t));
+  gameState.countries = save.countries.map(c => {
+    const country = Object.assign(Object.create(Country.prototype), c);
+    country.leader = Object.assign(Object.create(Leader.prototype), c.leader);
+    return country;
+  });
+  gameState.wars = save.wars.map(w => Object.assign(Object.create(War.prototype), w));
+  gameState.tradeRoutes = save.tradeRoutes.map(r => Object.assign(Object.create(TradeRoute.prototype), r));
+  gameState.relations = { ...save.relations };
+  gameState.treaties = save.treaties.map(t => Object.assign(Object.create(Treaty.prototype), t));
+  gameState.events = save.events.map(e => Object.assign(Object.create(GameEvent.prototype), e));
+  
+  rebuildOwnership();
+  for (const [i, pop] of save.tilePopulation) {
+    tilePopulation[i] = pop;
+  }
+  
+  gameState.nextCultureId = save.nextCultureId;
+  gameState.cultures = save.cultures.map(c => Object.assign(Object.create(Culture.prototype), c));
+  rebuildCultureRegistry();
+  tileCultureShares.fill(null);
+  for (const [i, mix] of save.tileCultures) {
+    tileCultureShares[i] = mix;
+  }
+  
+  gameState.nextSettlementId = save.nextSettlementId;
+  gameState.settlements = save.settlements.map(s => Object.assign(Object.create(Settlement.prototype), s));
+  rebuildSettlementIndex();
+  
+  gameState.nextEpidemicId = save.nextEpidemicId;
+  gameState.epidemics = save.epidemics.map(e => Object.assign(Object.create(Epidemic.prototype), e));
+  rebuildInfectionIndex();
+  
+  gameState.landmassNames = { ...save.landmassNames };
+  gameState.contacts = [...save.contacts];
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isString = value => typeof value === 'string';
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isTileIndex = i => Number.isInteger(i) && i >= 0 && i < TILE_WIDTH * TILE_HEIGHT;
+const isTileCoord = t => isObject(t) && Number.isInteger(t.x) && Number.isInteger(t.y) &&
+  t.x >= 0 && t.x < TILE_WIDTH && t.y >= 0 && t.y < TILE_HEIGHT;
+const isListOf = (value, check) => Array.isArray(value) && value.every(check);
+const isTechId = id => isString(id) && Object.hasOwn(TECHNOLOGIES, id);
+
+// Everything restoreGame reads from a save, by field
+const SAVE_SHAPE = {
+  planetName: isString,
+  year: isNumber,
+  rngState: state => isListOf(state, isNumber) && state.length === 4,
+  nextEventId: Number.isInteger,
+  nextTribeId: Number.isInteger,
+  nextCountryId: Number.isInteger,
+  nextWarId: Number.isInteger,
+  nextCultureId: Number.isInteger,
+  nextSettlementId: Number.isInteger,
+  nextEpidemicId: Number.isInteger,
+  tribes: list => isListOf(list, t => isObject(t) && Number.isInteger(t.id) && isTileCoord(t) &&
+    isNumber(t.population) && isListOf(t.territories, isTileCoord) && isListOf(t.techs, isTechId) &&
+    isListOf(t.path, isTileCoord)),
+  countries: list => isListOf(list, c => isObject(c) && Number.isInteger(c.id) && isString(c.name) &&
+    isNumber(c.population) && isListOf(c.territories, isTileCoord) && isListOf(c.techs, isTechId) &&
+    isString(c.government) && Object.hasOwn(GOVERNMENTS, c.government) &&
+    (c.researching === null || isTechId(c.researching)) &&
+    Array.isArray(c.minorities) && isObject(c.resources) && isObject(c.income) &&
+    isListOf(c.rulers, r => isObject(r) && isString(r.name) && isString(r.dynasty)) &&
+    isObject(c.leader) && isString(c.leader.name) && isString(c.leader.dynasty) && isObject(c.leader.traits)),
+  wars: list => isListOf(list, w => isObject(w) && Number.isInteger(w.id) &&
+    isListOf(w.attackers, Number.isInteger) && isListOf(w.defenders, Number.isInteger) && Array.isArray(w.occupied)),
+  tradeRoutes: list => isListOf(list, r => isObject(r) && Number.isInteger(r.a) && Number.isInteger(r.b)),
+  relations: isObject,
+  treaties: list => isListOf(list, t => isObject(t) && isString(t.type) && Number.isInteger(t.a) && Number.isInteger(t.b)),
+  cultures: list => isListOf(list, c => isObject(c) && Number.isInteger(c.id) && isString(c.name)),
+  settlements: list => isListOf(list, s => isTileCoord(s) && Number.isInteger(s.id) && isString(s.name)),
+  epidemics: list => isListOf(list, e => isObject(e) && isString(e.name) &&
+    isListOf(e.infected, i => isObject(i) && isTileIndex(i.i) && isNumber(i.years)) &&
+    isListOf(e.recovered, isTileIndex) && Array.isArray(e.reached)),
+  landmassNames: names => isObject(names) && Object.values(names).every(isString),
+  contacts: list => isListOf(list, isString),
+  climate: climate => isObject(climate) && isNumber(climate.anomaly) && isNumber(climate.seaLevel) &&
+    Array.isArray(climate.cycles) && isListOf(climate.droughts, isTileCoord),
+  disasters: list => isListOf(list, d => isTileCoord(d) && isString(d.type) && Object.hasOwn(DISASTER_TYPES, d.type)),
+  tileEdits: edits => isObject(edits) && Object.entries(edits).every(([i, fields]) =>
+    isTileIndex(Number(i)) && isObject(fields) && Object.values(fields).every(isNumber)),
+  tileCultures: list => isListOf(list, entry => Array.isArray(entry) && isTileIndex(entry[0]) &&
+    isListOf(entry[1], share => Array.isArray(share) && Number.isInteger(share[0]) && isNumber(share[1]))),
+  tilePopulation: list => isListOf(list, entry => Array.isArray(entry) && isTileIndex(entry[0]) && isNumber(entry[1])),
+  events: list => isListOf(list, e => isObject(e) && isNumber(e.year) && isString(e.type) && isString(e.message))
+};
+
+// Throws when a save can't be restored by this version of the game, before
+// any world is generated for it. The whole shape is checked up front, so a
+// damaged or hand-edited save never leaves a half-restored world behind.
+function validateSave(save) {
+  if (!isObject(save) || save.version !== SAVE_VERSION) {
+    throw new Error('Unsupported save version');
+  }
+  if (!isNumber(save.seed) || !TERRAIN_MODES.includes(save.terrainMode)) {
+    throw new Error('Save file is missing world data');
+  }
+  
+  for (const [field, check] of Object.entries(SAVE_SHAPE)) {
+    if (!check(save[field])) throw new Error(`Save file has a damaged ${field} entry`);
+  }
+  
+  return save;
+}
+
+function parseSaveFile(text) {
+  return validateSave(JSON.parse(text));
+}
@@ -0,0 +1,1025 @@
+// ============================================
+// WORLD GENERATION
+// ============================================
+
+// Everything in this file runs without a DOM so worlds can be generated
+// headless (see batch.js). Progress is reported through simEvents.
+
+const MAP_WIDTH = 2048;
+const MAP_HEIGHT = 1024;
+
+// How continents are formed, see generatePlanet
+const TERRAIN_MODES = ['noise', 'tectonic'];
+
+let planetData = null;
+let worldRng = null;
+let worldNoise = null;
+
+function reportProgress(percent, text) {
+  simEvents.emit('progress', { percent, text });
+}
+
+class Random {
+  constructor(seed) {
+    this.s = [0, 0, 0, 0];
+    let h = 1779033703 ^ seed;
+    for (let i = 0; i < 4; i++) {
+      h = Math.imul(h ^ (h >>> 16), 2246822507);
+      h = Math.imul(h ^ (h >>> 13), 3266489909);
+      this.s[i] = (h ^= h >>> 16) >>> 0;
+    }
+  }
+  
+  next() {
+    const t = this.s[1] << 9;
+    let r = Math.imul(this.s[0], 5);
+    r = ((r << 7) | (r >>> 25)) * 9;
+    this.s[2] ^= this.s[0];
+    this.s[3] ^= this.s[1];
+    this.s[1] ^= this.s[2];
+    this.s[0] ^= this.s[3];
+    this.s[2] ^= t;
+    this.s[3] = (this.s[3] << 11) | (this.s[3] >>> 21);
+    return (r >>> 0) / 4294967296;
+  }
+  
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+}
+
+// Turns the menu's seed field into a 32-bit seed. Plain integers are used as-is
+// so seeds can be shared verbatim; any other text is hashed (FNV-1a).
+function parseSeed(text) {
+  const trimmed = String(text).trim();
+  
+  if (/^\d+$/.test(trimmed)) {
+    return Number(BigInt(trimmed) % 4294967296n);
+  }
+  
+  let h = 2166136261;
+  for (let i = 0; i < trimmed.length; i++) {
+    h ^= trimmed.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+class PerlinNoise {
+  constructor(rng) {
+    this.perm = new Uint8Array(512);
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) p[i] = i;
+    
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(rng.next() * (i + 1));
+      [p[i], p[j]] = [p[j], p[i]];
+    }
+    
+    for (let i = 0; i < 512; i++) this.perm[i] = p[i & 255];
+  }
+  
+  fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+  }
+  
+  lerp(t, a, b) {
+    return a + t * (b - a);
+  }
+  
+  grad(hash, x, y) {
+    const h = hash & 7;
+    const u = h < 4 ? x : y;
+    const v = h < 4 ? y : x;
+    return ((h & 1) ? -u : u) + ((h & 2) ? -2 * v : 2 * v);
+  }
+  
+  noise(x, y) {
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+    x -= Math.floor(x);
+    y -= Math.floor(y);
+    const u = this.fade(x);
+    const v = this.fade(y);
+    const a = this.perm[X] + Y;
+    const b = this.perm[X + 1] + Y;
+    
+    return this.lerp(v,
+      this.lerp(u, this.grad(this.perm[a], x, y), this.grad(this.perm[b], x - 1, y)),
+      this.lerp(u, this.grad(this.perm[a + 1], x, y - 1), this.grad(this.perm[b + 1], x - 1, y - 1))
+    );
+  }
+  
+  fbm(x, y, octaves, persistence, lacunarity, warp = 0) {
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let maxValue = 0;
+    
+    if (warp > 0) {
+      x += this.noise(x * 0.5, y * 0.5) * warp;
+      y += this.noise(x * 0.5 + 100, y * 0.5 + 100) * warp;
+    }
+    
+    for (let i = 0; i < octaves; i++) {
+      total += this.noise(x * frequency, y * frequency) * amplitude;
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+    
+    return total / maxValue;
+  }
+}
+
+// ============================================
+// TECTONICS
+// ============================================
+
+// Optional generation stage. Plates grow from random seeds on a coarse grid,
+// each drifting its own way and carrying either a continent or ocean floor.
+// Where plates push together the crust rises: mountain chains where continents
+// collide or ocean dives under a continent, island arcs where two oceans
+// meet. Where they pull apart, continents rift and oceans raise a low ridge.
+// The result stands in for the continental noise and tells the mountain stage
+// where ranges belong.
+
+const TECTONICS = {
+  scale: 4, // pixels per grid cell
+  plates: [10, 18],
+  continentalShare: 0.45, // chance a plate carries a continent
+  speed: [0.2, 0.6], // drift per plate, in arbitrary units
+  continentHeight: 0.15, // base height of continental plates
+  oceanHeight: -0.15,
+  shelfBlur: 10, // cells of blur softening the edges of continents
+  warp: 40, // cells plate borders wander from a straight line
+  reach: 18, // cells boundary effects extend into each plate
+  collision: 0.3, // uplift per unit of convergence where continents collide
+  subduction: 0.25, // continent above an ocean diving under it
+  trench: 0.15, // the ocean side of the same
+  arc: 0.3, // island arcs where two oceans converge
+  rift: 0.15, // sinking where a continent pulls apart
+  ridge: 0.06 // rise where an ocean pulls apart
+};
+
+function createPlates(rng, width, height) {
+  const count = Math.floor(rng.range(TECTONICS.plates[0], TECTONICS.plates[1] + 1));
+  const plates = [];
+  
+  for (let i = 0; i < count; i++) {
+    const angle = rng.range(0, Math.PI * 2);
+    const speed = rng.range(TECTONICS.speed[0], TECTONICS.speed[1]);
+    plates.push({
+      x: rng.range(0, width),
+      y: rng.range(height * 0.1, height * 0.9),
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed,
+      continental: rng.next() < TECTONICS.continentalShare
+    });
+  }
+  
+  return plates;
+}
+
+// Nearest plate seed to every cell, measured from a noise-warped position so
+// borders meander
+function assignPlates(plates, noise, width, height) {
+  const plateOf = new Uint8Array(width * height);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const nx = x / width * 4;
+      const ny = y / height * 4;
+      const wx = x + noise.fbm(nx + 700, ny + 700, 3, 0.5, 2.0) * TECTONICS.warp;
+      const wy = y + noise.fbm(nx + 800, ny + 800, 3, 0.5, 2.0) * TECTONICS.warp;
+      
+      let best = 0;
+      let bestDist = Infinity;
+      plates.forEach((plate, p) => {
+        const dx = Math.abs(wx - plate.x) % width;
+        const dist = Math.min(dx, width - dx) ** 2 + (wy - plate.y) ** 2;
+        if (dist < bestDist) {
+          bestDist = dist;
+          best = p;
+        }
+      });
+      plateOf[y * width + x] = best;
+    }
+  }
+  
+  return plateOf;
+}
+
+// Box blur in place, wrapping east-west and clamped at the poles
+function blurGrid(grid, width, height, radius) {
+  const temp = new Float32Array(grid.length);
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let dx = -radius; dx <= radius; dx++) {
+        sum += grid[y * width + (x + dx + width) % width];
+      }
+      temp[y * width + x] = sum / (radius * 2 + 1);
+    }
+  }
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let dy = -radius; dy <= radius; dy++) {
+        const ny = Math.max(0, Math.min(height - 1, y + dy));
+        sum += temp[ny * width + x];
+      }
+      grid[y * width + x] = sum / (radius * 2 + 1);
+    }
+  }
+}
+
+// Height change at `falloff` (1 at the boundary, 0 at TECTONICS.reach) on
+// a plate meeting another with the given convergence, negative when they part
+function boundaryUplift(plate, other, otherFirst, convergence, falloff) {
+  if (convergence > 0) {
+    if (plate.continental && other.continental) return TECTONICS.collision * convergence * falloff ** 2;
+    if (plate.continental) return TECTONICS.subduction * convergence * falloff ** 2;
+    if (other.continental) return -TECTONICS.trench * convergence * falloff ** 4;
+    
+    // Of two oceans the later plate dives, and an arc rises a little way in
+    // from the trench on the other
+    if (otherFirst) return -TECTONICS.trench * convergence * falloff ** 4;
+    return TECTONICS.arc * convergence * 4 * falloff * (1 - falloff);
+  }
+  
+  if (plate.continental) return TECTONICS.rift * convergence * falloff ** 2;
+  return -TECTONICS.ridge * convergence * falloff ** 3;
+}
+
+// Returns a coarse height grid and a 0-1 mountain mask, see sampleGrid
+async function generateTectonics(noise, rng) {
+  const width = MAP_WIDTH / TECTONICS.scale;
+  const height = MAP_HEIGHT / TECTONICS.scale;
+  const size = width * height;
+  
+  const plates = createPlates(rng, width, height);
+  const plateOf = assignPlates(plates, noise, width, height);
+  await sleep(0);
+  
+  const neighborsOf = i => {
+    const x = i % width;
+    const y = Math.floor(i / width);
+    const list = [[(x + 1) % width, y, 1, 0], [(x - 1 + width) % width, y, -1, 0]];
+    if (y > 0) list.push([x, y - 1, 0, -1]);
+    if (y < height - 1) list.push([x, y + 1, 0, 1]);
+    return list;
+  };
+  
+  // Convergence along each boundary cell: how fast the two plates close
+  // along the line between them
+  const stress = new Float32Array(size);
+  const otherPlate = new Int16Array(size).fill(-1);
+  const distance = new Int16Array(size).fill(-1);
+  const source = new Int32Array(size);
+  let queue = [];
+  
+  for (let i = 0; i < size; i++) {
+    const plate = plates[plateOf[i]];
+    let total = 0;
+    let count = 0;
+    
+    for (const [nx, ny, dx, dy] of neighborsOf(i)) {
+      const j = ny * width + nx;
+      if (plateOf[j] === plateOf[i]) continue;
+      
+      const other = plates[plateOf[j]];
+      total += (plate.vx - other.vx) * dx + (plate.vy - other.vy) * dy;
+      count++;
+      otherPlate[i] = plateOf[j];
+    }
+    
+    if (count > 0) {
+      stress[i] = total / count;
+      distance[i] = 0;
+      source[i] = i;
+      queue.push(i);
+    }
+  }
+  
+  // Spread each boundary's influence inward across its own plate
+  for (let d = 1; d <= TECTONICS.reach && queue.length > 0; d++) {
+    const next = [];
+    for (const i of queue) {
+      for (const [nx, ny] of neighborsOf(i)) {
+        const j = ny * width + nx;
+        if (distance[j] !== -1 || plateOf[j] !== plateOf[i]) continue;
+        distance[j] = d;
+        source[j] = source[i];
+        next.push(j);
+      }
+    }
+    queue = next;
+  }
+  
+  const base = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    base[i] = plates[plateOf[i]].continental ? TECTONICS.continentHeight : TECTONICS.oceanHeight;
+  }
+  blurGrid(base, width, height, TECTONICS.shelfBlur);
+  await sleep(0);
+  
+  const uplift = new Float32Array(size);
+  const mountains = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    if (distance[i] === -1) continue;
+    
+    const s = source[i];
+    const falloff = 1 - distance[i] / (TECTONICS.reach + 1);
+    uplift[i] = boundaryUplift(plates[plateOf[i]], plates[otherPlate[s]], otherPlate[s] < plateOf[i], stress[s], falloff);
+    mountains[i] = Math.max(0, Math.min(1, uplift[i] / (TECTONICS.collision * 0.3)));
+  }
+  blurGrid(uplift, width, height, 2);
+  blurGrid(mountains, width, height, 2);
+  
+  const elevation = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    elevation[i] = base[i] + uplift[i];
+  }
+  
+  return { width, height, plates, elevation, mountains };
+}
+
+// Bilinear sample of a coarse grid at a map pixel
+function sampleGrid(grid, width, height, px, py) {
+  const gx = px / TECTONICS.scale - 0.5;
+  const gy = Math.max(0, Math.min(height - 1, py / TECTONICS.scale - 0.5));
+  const x0 = Math.floor(gx);
+  const y0 = Math.floor(gy);
+  const fx = gx - x0;
+  const fy = gy - y0;
+  const xa = (x0 + width) % width;
+  const xb = (x0 + 1) % width;
+  const y1 = Math.min(height - 1, y0 + 1);
+  
+  const top = grid[y0 * width + xa] * (1 - fx) + grid[y0 * width + xb] * fx;
+  const bottom = grid[y1 * width + xa] * (1 - fx) + grid[y1 * width + xb] * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+// ============================================
+// RIVER GENERATION SYSTEM
+// ============================================
+
+class River {
+  constructor(id) {
+    this.id = id;
+    this.path = []; // Array of {x, y} points
+    this.strength = 0; // How big the river is (0-1)
+  }
+}
+
+async function generateRivers(height, moisture, rng) {
+  const rivers = [];
+  const riverMap = new Uint8Array(MAP_WIDTH * MAP_HEIGHT); // Which river (if any) flows through each pixel
+  
+  const idx = (x, y) => {
+    x = (x + MAP_WIDTH) % MAP_WIDTH;
+    y = Math.max(0, Math.min(MAP_HEIGHT - 1, y));
+    return y * MAP_WIDTH + x;
+  };
+  
+  // Find high elevation starting points for rivers
+  const numRivers = Math.floor(rng.range(80, 150));
+  const riverStarts = [];
+  
+  for (let attempt = 0; attempt < numRivers * 3; attempt++) {
+    const x = Math.floor(rng.next() * MAP_WIDTH);
+    const y = Math.floor(rng.next() * MAP_HEIGHT);
+    const i = idx(x, y);
+    
+    const h = height[i];
+    const m = moisture[i];
+    
+    // Rivers start in mountains, in wet regions
+    if (h > 0.3 && h < 0.9 && m > 0.4) {
+      riverStarts.push({ x, y, elevation: h });
+    }
+    
+    if (riverStarts.length >= numRivers) break;
+  }
+  
+  // Flow each river downhill
+  for (let r = 0; r < riverStarts.length; r++) {
+    const river = new River(r);
+    const start = riverStarts[r];
+    
+    let x = start.x;
+    let y = start.y;
+    let prevElev = start.elevation;
+    const maxLength = 200;
+    
+    for (let step = 0; step < maxLength; step++) {
+      const i = idx(x, y);
+      const currentElev = height[i];
+      
+      // Stop if we hit ocean
+      if (currentElev <= 0) {
+        river.path.push({ x, y });
+        break;
+      }
+      
+      // Stop if we hit another river (merge)
+      if (riverMap[i] > 0 && riverMap[i] !== r + 1) {
+        river.path.push({ x, y });
+        break;
+      }
+      
+      river.path.push({ x, y });
+      riverMap[i] = r + 1;
+      
+      // Find lowest neighbor
+      const neighbors = [
+        { x: x - 1, y: y, elev: height[idx(x - 1, y)] },
+        { x: x + 1, y: y, elev: height[idx(x + 1, y)] },
+        { x: x, y: y - 1, elev: height[idx(x, y - 1)] },
+        { x: x, y: y + 1, elev: height[idx(x, y + 1)] }
+      ];
+      
+      // Sort by elevation
+      neighbors.sort((a, b) => a.elev - b.elev);
+      
+      // Flow downhill
+      let moved = false;
+      for (const n of neighbors) {
+        if (n.elev < currentElev) {
+          x = (n.x + MAP_WIDTH) % MAP_WIDTH;
+          y = Math.max(0, Math.min(MAP_HEIGHT - 1, n.y));
+          moved = true;
+          break;
+        }
+      }
+      
+      if (!moved) break; // Stuck in a local minimum
+      
+      prevElev = currentElev;
+    }
+    
+    // Calculate river strength based on length and tributaries
+    river.strength = Math.min(1, river.path.length / 100);
+    
+    if (river.path.length > 10) {
+      rivers.push(river);
+    }
+  }
+  
+  return rivers;
+}
+
+// ============================================
+// TILE SYSTEM
+// ============================================
+
+const TILE_WIDTH = 256;
+const TILE_HEIGHT = 128;
+
+class Tile {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    
+    // Geography
+    this.elevation = 0;
+    this.isLand = false;
+    this.landmass = -1; // id of the connected landmass it belongs to, -1 at sea
+    this.distanceToCoast = 0;
+    this.riverPresence = 'none'; // none / minor / major
+    this.roughness = 0; // 0-1 (flat to mountains)
+    
+    // Climate
+    this.temperature = 0; // -1 to 1
+    this.rainfall = 0; // 0 to 1
+    this.baseElevation = 0; // as generated, before any climate change or disaster
+    this.baseTemperature = 0;
+    this.baseRainfall = 0;
+    this.seasonality = 0; // 0-1
+    this.climateZone = 'temperate'; // polar / temperate / tropical
+    
+    // Biome
+    this.biomeType = 'ocean';
+    
+    // Resources
+    this.foodPotential = 0; // 0-1
+    this.wood = 0; // 0-1
+    this.stone = 0; // 0-1
+    this.metals = 0; // 0-1
+    this.fertility = 0; // 0-1
+    
+    // Human factors
+    this.habitability = 0; // 0-1
+    this.populationCapacity = 0; // 0-1
+    this.diseaseRisk = 0; // 0-1
+    this.movementCost = 1.0; // multiplier for travel
+  }
+}
+
+// Everything that follows from a tile's terrain and its current climate.
+// Called at generation and again whenever the climate shifts, see CLIMATE.
+function deriveTileTraits(tile, seaLevel = 0) {
+  const elevation = tile.elevation - seaLevel;
+  tile.isLand = elevation > 0;
+  tile.biomeType = determineBiome(elevation, tile.temperature, tile.rainfall);
+  
+  if (!tile.isLand) {
+    tile.fertility = 0;
+    tile.foodPotential = 0;
+    tile.habitability = 0;
+    tile.populationCapacity = 0;
+    tile.movementCost = 1.0;
+    return;
+  }
+  
+  tile.fertility = tile.rainfall * (1 - tile.roughness) * 0.7;
+  tile.foodPotential = tile.fertility * (tile.riverPresence === 'major' ? 1.5 : 1.0);
+  
+  // Habitability
+  const tempScore = 1 - Math.abs(tile.temperature);
+  const moistScore = Math.min(1, tile.rainfall * 1.5);
+  tile.habitability = (tempScore + moistScore + (tile.riverPresence !== 'none' ? 0.3 : 0)) / 2.5;
+  
+  tile.populationCapacity = tile.habitability * tile.foodPotential;
+  
+  // Movement cost
+  tile.movementCost = 1.0;
+  if (tile.roughness > 0.5) tile.movementCost += 1.5;
+  if (tile.biomeType === 'jungle') tile.movementCost += 1.0;
+  if (tile.biomeType === 'desert') tile.movementCost += 0.5;
+  if (tile.biomeType === 'ice') tile.movementCost += 2.0;
+}
+
+function determineBiome(elevation, temperature, rainfall) {
+  if (elevation <= 0) return 'ocean';
+  
+  if (temperature < -0.5) return 'ice';
+  if (temperature < -0.2) return 'tundra';
+  
+  if (elevation > 0.7) return 'alpine';
+  
+  if (rainfall < 0.2) return 'desert';
+  if (rainfall < 0.4) {
+    if (temperature > 0.3) return 'savanna';
+    return 'grassland';
+  }
+  if (rainfall < 0.7) {
+    if (temperature > 0.4) return 'jungle';
+    return 'forest';
+  }
+  
+  if (temperature > 0.5) return 'jungle';
+  return 'forest';
+}
+
+// Wood, stone, metals and disease risk for a tile, judged by the biome it has
+// or, under the sea, would have as lowland
+function rollResources(tile, rng) {
+  const biome = tile.isLand ? tile.biomeType : determineBiome(0.01, tile.temperature, tile.rainfall);
+  
+  tile.wood = (biome === 'forest' || biome === 'jungle') ? rng.range(0.6, 1.0) : rng.range(0, 0.3);
+  tile.stone = tile.roughness > 0.3 ? rng.range(0.5, 0.9) : rng.range(0.1, 0.4);
+  tile.metals = (tile.roughness > 0.4 && rng.next() > 0.7) ? rng.range(0.5, 1.0) : rng.range(0, 0.3);
+  
+  // Disease risk (hot + wet = disease)
+  if (tile.temperature > 0.3 && tile.rainfall > 0.6) {
+    tile.diseaseRisk = rng.range(0.5, 0.9);
+  } else {
+    tile.diseaseRisk = rng.range(0, 0.3);
+  }
+}
+
+async function generateTileSystem(height, temperature, moisture, rivers, rng, seabedRng) {
+  const tiles = [];
+  
+  const pixelsPerTileX = MAP_WIDTH / TILE_WIDTH;
+  const pixelsPerTileY = MAP_HEIGHT / TILE_HEIGHT;
+  
+  const idx = (x, y) => y * MAP_WIDTH + x;
+  
+  // Create tile grid
+  for (let ty = 0; ty < TILE_HEIGHT; ty++) {
+    for (let tx = 0; tx < TILE_WIDTH; tx++) {
+      const tile = new Tile(tx, ty);
+      
+      // Sample the center pixels of this tile region
+      const centerX = Math.floor(tx * pixelsPerTileX + pixelsPerTileX / 2);
+      const centerY = Math.floor(ty * pixelsPerTileY + pixelsPerTileY / 2);
+      
+      // Average values across the tile region
+      let sumElev = 0, sumTemp = 0, sumMoist = 0;
+      let numSamples = 0;
+      let minElev = Infinity, maxElev = -Infinity;
+      
+      for (let dy = 0; dy < pixelsPerTileY; dy += 2) {
+        for (let dx = 0; dx < pixelsPerTileX; dx += 2) {
+          const px = Math.floor(tx * pixelsPerTileX + dx);
+          const py = Math.floor(ty * pixelsPerTileY + dy);
+          if (px >= MAP_WIDTH || py >= MAP_HEIGHT) continue;
+          
+          const i = idx(px, py);
+          sumElev += height[i];
+          sumTemp += temperature[i];
+          sumMoist += moisture[i];
+          minElev = Math.min(minElev, height[i]);
+          maxElev = Math.max(maxElev, height[i]);
+          numSamples++;
+        }
+      }
+      
+      tile.elevation = tile.baseElevation = sumElev / numSamples;
+      tile.temperature = tile.baseTemperature = sumTemp / numSamples;
+      tile.rainfall = tile.baseRainfall = sumMoist / numSamples;
+      tile.isLand = tile.elevation > 0;
+      tile.roughness = maxElev - minElev; // Terrain variance
+      
+      // Climate zone
+      const lat = Math.abs(ty / TILE_HEIGHT * 2 - 1);
+      if (lat > 0.7) tile.climateZone = 'polar';
+      else if (lat < 0.3) tile.climateZone = 'tropical';
+      else tile.climateZone = 'temperate';
+      
+      // Biome
+      tile.biomeType = determineBiome(tile.elevation, tile.temperature, tile.rainfall);
+      
+      // River presence
+      let riverStrength = 0;
+      for (const river of rivers) {
+        for (const point of river.path) {
+          const ptx = Math.floor(point.x / pixelsPerTileX);
+          const pty = Math.floor(point.y / pixelsPerTileY);
+          if (ptx === tx && pty === ty) {
+            riverStrength = Math.max(riverStrength, river.strength);
+          }
+        }
+      }
+      if (riverStrength > 0.5) tile.riverPresence = 'major';
+      else if (riverStrength > 0.2) tile.riverPresence = 'minor';
+      
+      // Resources. The sea floor gets them too, from its own generator so
+      // the land keeps its rolls, ready for when falling seas expose it.
+      rollResources(tile, tile.isLand ? rng : seabedRng);
+      
+      deriveTileTraits(tile);
+      
+      tiles.push(tile);
+    }
+  }
+  
+  computeCoastDistances(tiles);
+  labelLandmasses(tiles);
+  
+  return tiles;
+}
+
+// Straight-line distance from each land tile to the nearest ocean, searched
+// out to 19 tiles. Ocean tiles are 0.
+function computeCoastDistances(tiles) {
+  for (const tile of tiles) {
+    if (!tile.isLand) {
+      tile.distanceToCoast = 0;
+      continue;
+    }
+    
+    let minDist = Infinity;
+    
+    // Search in expanding radius
+    for (let r = 1; r < 20; r++) {
+      let foundCoast = false;
+      
+      for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+          const nx = (tile.x + dx + TILE_WIDTH) % TILE_WIDTH;
+          const ny = tile.y + dy;
+          
+          if (ny < 0 || ny >= TILE_HEIGHT) continue;
+          
+          const neighbor = tiles[ny * TILE_WIDTH + nx];
+          if (!neighbor.isLand) {
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            minDist = Math.min(minDist, dist);
+            foundCoast = true;
+          }
+        }
+      }
+      
+      if (foundCoast) break;
+    }
+    
+    tile.distanceToCoast = minDist;
+  }
+}
+
+// Numbers each connected body of land, wrapping east-west like the map
+function labelLandmasses(tiles) {
+  for (const tile of tiles) tile.landmass = -1;
+  
+  let next = 0;
+  for (const start of tiles) {
+    if (!start.isLand || start.landmass !== -1) continue;
+    
+    start.landmass = next;
+    const stack = [start];
+    while (stack.length > 0) {
+      const tile = stack.pop();
+      for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+        const ny = tile.y + dy;
+        if (ny < 0 || ny >= TILE_HEIGHT) continue;
+        
+        const neighbor = tiles[ny * TILE_WIDTH + (tile.x + dx + TILE_WIDTH) % TILE_WIDTH];
+        if (neighbor.isLand && neighbor.landmass === -1) {
+          neighbor.landmass = next;
+          stack.push(neighbor);
+        }
+      }
+    }
+    next++;
+  }
+  
+  return next;
+}
+
+const planetPrefixes = [
+  'Terra', 'Gaia', 'Kepler', 'Proxima', 'Trappist', 'Nova', 'Aurora', 'Celestia',
+  'Olympus', 'Elysium', 'Arcadia', 'Avalon', 'Eden', 'Valhalla', 'Asgard', 'Midgard',
+  'Atlantis', 'Thera', 'Harmonia', 'Concordia', 'Serenity', 'Tranquility', 'Verdant',
+  'Emerald', 'Sapphire', 'Azure', 'Crimson', 'Golden', 'Silver', 'Crystal'
+];
+
+const planetSuffixes = [
+  'Prime', 'Major', 'Minor', 'Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon',
+  'Centauri', 'Draconis', 'Aquarii', 'Orionis', 'Lyrae', 'Cygni', 'Phoenicis',
+  'Novus', 'Secundus', 'Tertius', 'Quartus', 'Quintus'
+];
+
+function generatePlanetName(rng) {
+  const useNumber = rng.next() > 0.4;
+  
+  if (useNumber) {
+    const prefix = planetPrefixes[Math.floor(rng.next() * planetPrefixes.length)];
+    const number = Math.floor(rng.next() * 9999) + 1;
+    const letter = String.fromCharCode(97 + Math.floor(rng.next() * 26));
+    return `${prefix}-${number}${letter}`;
+  } else {
+    const prefix = planetPrefixes[Math.floor(rng.next() * planetPrefixes.length)];
+    const suffix = planetSuffixes[Math.floor(rng.next() * planetSuffixes.length)];
+    return `${prefix} ${suffix}`;
+  }
+}
+
+// terrainMode is 'noise' for the classic noise continents or 'tectonic' to build
+// them from drifting plates
+async function generatePlanet(seed, terrainMode = 'noise') {
+  if (!TERRAIN_MODES.includes(terrainMode)) {
+    throw new Error(`Unknown terrain mode '${terrainMode}', expected ${TERRAIN_MODES.join(' or ')}`);
+  }
+  
+  const rng = new Random(seed);
+  const noise = new PerlinNoise(rng);
+  
+  worldRng = rng;
+  worldNoise = noise;
+  
+  // Start from a clean slate so the same seed always replays the same history
+  gameState.tribes = [];
+  gameState.countries = [];
+  gameState.wars = [];
+  gameState.tradeRoutes = [];
+  gameState.relations = {};
+  gameState.treaties = [];
+  gameState.events = [];
+  gameState.nextEventId = 0;
+  gameState.nextTribeId = 0;
+  gameState.nextCountryId = 0;
+  gameState.nextWarId = 0;
+  gameState.cultures = [];
+  gameState.nextCultureId = 0;
+  gameState.settlements = [];
+  gameState.nextSettlementId = 0;
+  gameState.epidemics = [];
+  gameState.nextEpidemicId = 0;
+  gameState.landmassNames = {};
+  gameState.contacts = [];
+  gameState.disasters = [];
+  gameState.tileEdits = {};
+  resetOwnership();
+  resetCultures();
+  rebuildSettlementIndex();
+  rebuildInfectionIndex();
+  
+  reportProgress(0, 'Initializing...');
+  
+  const height = new Float32Array(MAP_WIDTH * MAP_HEIGHT);
+  const moisture = new Float32Array(MAP_WIDTH * MAP_HEIGHT);
+  const temperature = new Float32Array(MAP_WIDTH * MAP_HEIGHT);
+  
+  const idx = (x, y) => y * MAP_WIDTH + x;
+  
+  // Only drawn on in tectonic mode so noise worlds keep their seeds
+  let tectonics = null;
+  if (terrainMode === 'tectonic') {
+    reportProgress(0.02, 'Moving tectonic plates...');
+    tectonics = await generateTectonics(noise, rng);
+  }
+  
+  reportProgress(0.05, 'Forming continents...');
+  
+  for (let y = 0; y < MAP_HEIGHT; y++) {
+    for (let x = 0; x < MAP_WIDTH; x++) {
+      const i = idx(x, y);
+      
+      const nx = x / MAP_WIDTH;
+      const ny = y / MAP_HEIGHT;
+      
+      const lat = Math.abs(ny * 2 - 1);
+      const latWeight = 1 - Math.pow(lat, 1.5) * 0.3;
+      
+      const continentalScale = 2.2;
+      const continental = noise.fbm(
+        nx * continentalScale, 
+        ny * continentalScale, 
+        5, 
+        0.55, 
+        2.1,
+        0.5
+      );
+      
+      const terrainScale = 7;
+      const terrain = noise.fbm(
+        nx * terrainScale + 50, 
+        ny * terrainScale + 50, 
+        5, 
+        0.6, 
+        2.0
+      );
+      
+      const detailScale = 20;
+      const detail = noise.fbm(
+        nx * detailScale + 200, 
+        ny * detailScale + 200, 
+        4, 
+        0.5, 
+        2.0
+      );
+      
+      let elevation = tectonics
+        ? sampleGrid(tectonics.elevation, tectonics.width, tectonics.height, x, y) + continental * 0.35
+        : continental * 0.60;
+      elevation += terrain * 0.28 + detail * 0.12;
+      elevation *= latWeight;
+      
+      if (lat < 0.35) {
+        elevation += 0.08 * (1 - lat / 0.35);
+      }
+      
+      height[i] = elevation;
+    }
+    
+    if (y % 50 === 0) {
+      reportProgress(0.05 + (y / MAP_HEIGHT) * 0.25, `Continents: ${Math.floor(y / MAP_HEIGHT * 100)}%`);
+      await sleep(0);
+    }
+  }
+  
+  reportProgress(0.30, 'Adjusting sea level...');
+  
+  const sorted = new Float32Array(height).sort();
+  const seaLevel = sorted[Math.floor(sorted.length * 0.60)];
+  
+  for (let i = 0; i < height.length; i++) {
+    height[i] = (height[i] - seaLevel) * 2.8;
+  }
+  
+  reportProgress(0.35, 'Raising mountains...');
+
+  for (let y = 0; y < MAP_HEIGHT; y++) {
+    for (let x = 0; x < MAP_WIDTH; x++) {
+      const i = idx(x, y);
+      const nx = x / MAP_WIDTH;
+      const ny = y / MAP_HEIGHT;
+
+      if (height[i] > 0.08) {
+        // Tectonic ranges follow plate boundaries instead of broad noise
+        const continentalMask = tectonics
+          ? sampleGrid(tectonics.mountains, tectonics.width, tectonics.height, x, y)
+          : Math.max(0, Math.min(1,
+            (noise.fbm(nx * 0.6 + 900, ny * 0.6 + 900, 2, 0.6, 2.0) + 1) * 0.5
+          ));
+
+        const mountainScale = 5;
+        let mountainNoise = noise.fbm(
+          nx * mountainScale + 300,
+          ny * mountainScale + 300,
+          4,
+          0.5,
+          2.2
+        );
+
+        mountainNoise = 1 - Math.abs(mountainNoise);
+        if (mountainNoise > 0.35) {
+          const peakFactor = Math.pow((mountainNoise - 0.35) / (1 - 0.35), 1.6);
+          const amplitude = 0.18;
+          height[i] += peakFactor * amplitude * continentalMask;
+        }
+      }
+    }
+
+    if (y % 60 === 0) {
+      reportProgress(0.35 + (y / MAP_HEIGHT) * 0.15, `Mountains: ${Math.floor(y / MAP_HEIGHT * 100)}%`);
+      await sleep(0);
+    }
+  }
+  
+  reportProgress(0.50, 'Calculating temperature...');
+  
+  for (let y = 0; y < MAP_HEIGHT; y++) {
+    const lat = Math.abs((y / MAP_HEIGHT) * 2 - 1);
+    
+    for (let x = 0; x < MAP_WIDTH; x++) {
+      const i = idx(x, y);
+      
+      let temp = 1 - lat * 1.3;
+      
+      if (height[i] > 0) {
+        temp -= height[i] * 0.45;
+      } else {
+        temp += 0.12;
+      }
+      
+      const nx = x / MAP_WIDTH;
+      const ny = y / MAP_HEIGHT;
+      temp += noise.noise(nx * 8 + 400, ny * 8 + 400) * 0.08;
+      
+      temperature[i] = Math.max(-1, Math.min(1, temp));
+    }
+    
+    if (y % 60 === 0) {
+      reportProgress(0.50 + (y / MAP_HEIGHT) * 0.10, `Temperature: ${Math.floor(y / MAP_HEIGHT * 100)}%`);
+      await sleep(0);
+    }
+  }
+  
+  reportProgress(0.60, 'Simulating climate...');
+  
+  for (let y = 0; y < MAP_HEIGHT; y++) {
+    for (let x = 0; x < MAP_WIDTH; x++) {
+      const i = idx(x, y);
+      const nx = x / MAP_WIDTH;
+      const ny = y / MAP_HEIGHT;
+      const lat = Math.abs((y / MAP_HEIGHT) * 2 - 1);
+      
+      let precip = noise.fbm(nx * 5 + 500, ny * 5 + 500, 4, 0.5, 2.0);
+      precip = (precip + 1) / 2;
+      
+      precip *= 1.2 - lat * 0.6;
+      
+      if (height[i] > 0 && height[i] < 0.15) {
+        precip += 0.25;
+      }
+      
+      if (height[i] > 0.5) {
+        precip *= 0.5;
+      }
+      
+      if (height[i] < 0) {
+        precip = 0.6;
+      }
+      
+      moisture[i] = Math.max(0, Math.min(1.2, precip));
+    }
+    
+    if (y % 60 === 0) {
+      reportProgress(0.60 + (y / MAP_HEIGHT) * 0.10, `Climate: ${Math.floor(y / MAP_HEIGHT * 100)}%`);
+      await sleep(0);
+    }
+  }
+  
+  reportProgress(0.70, 'Generating rivers...');
+  const rivers = await generateRivers(height, moisture, rng);
+  
+  reportProgress(0.75, 'Creating tile system...');
+  const tiles = await generateTileSystem(height, temperature, moisture, rivers, rng, new Random(seed ^ 0x5eabed));
+  
+  reportProgress(0.85, 'Spawning tribes...');
+  const tribes = spawnInitialTribes(tiles, rng);
+  gameState.climate = createClimate(rng);
+  gameState.year = 0;
+  
+  const planetName = generatePlanetName(rng);
+  planetData = { height, temperature, moisture, rivers, tiles, seed, terrainMode, name: planetName };
+  
+  reportProgress(0.90, 'World generated');
+  return planetData;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}